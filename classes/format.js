@@ -12,6 +12,8 @@ class Format {
 	author = null;                        // format author
 	description = null;                   // format description
 	markdownMaker = null;                 // required markdownMaker version
+	parent = null;                        // name of a format to extend: its files sit beneath this format's, its settings are merged beneath these, and its extensions are declared first
+	lineage = [];                         // the formats this format extends, nearest first (set when the format is loaded)
 	export = {
 		pdf: null,
 		png: null,
@@ -31,38 +33,73 @@ class Format {
 		exportPdf: null,                    // function(job, file, options)
 		exportPngs: null,                   // function(job, file, options)
 		exportZip: null,                    // function(job)
-		processDomCollection: null,         // function(job, dom, collection)
-		processDomFragment: null,           // function(job, dom)
+		processDomCollection: null,         // function(job, dom, collection, metadata)
+		processDomFragment: null,           // function(job, dom, metadata)
 		renderCollectionJson: null,         // function(job, json), returns string
-		renderHtmlCollectionWrapper: null,  // function(job, filename, html), returns string
-		renderHtmlFragmentWrapper: null,    // function(job, filename, html), returns string
+		renderHtmlCollectionWrapper: null,  // function(job, filename, html, metadata, collection), returns string
+		renderHtmlFragmentWrapper: null,    // function(job, filename, html, metadata), returns string
+		renderIndex: null,                  // function(job, entries, options), returns string
+		renderToc: null,                    // function(job, entries, options), returns string (entries are { type: "heading" or "section", id, level, title, element })
 		saveCollection: null,               // function(job, stream)
 		saveFragment: null,                 // function(job, stream)
-		validateCollectionJson: null        // function(json), returns Object
+		validateCollectionJson: null        // function(json), returns Object (deprecated: extend schema.collection instead)
 	};
 	markdown = {
-		colbreak: null,                     // function(job, filename, token, tags), returns string
-		banner: null,                       // function(job, filename, token, tags), returns string
-		banners: null,                      // function(job, filename, token, tags), returns string
-		sidebar: null,                      // function(job, filename, token, tags), returns string
-		sidebars: null,                     // function(job, filename, token, tags), returns string
-		page: null,                         // function(job, filename, token, tags), returns string
-		pages: null,                        // function(job, filename, token, tags), returns string
-		card: null,                         // function(job, filename, token, tags), returns string
-		cards: null,                        // function(job, filename, token, tags), returns string
-		poster: null,                       // function(job, filename, token, tags), returns string
-		posters: null,                      // function(job, filename, token, tags), returns string
-		content: null,                      // function(job, filename, token, tags), returns string
-		contents: null,                     // function(job, filename, token, tags), returns string
-		panel: null,                        // function(job, filename, token, tags), returns string
-		panels: null,                       // function(job, filename, token, tags), returns string
-		example: null,                      // function(job, filename, token, tags), returns string
-		examples: null,                     // function(job, filename, token, tags), returns string
-		region: null,                       // function(job, filename, token, tags), returns string
-		regions: null,                      // function(job, filename, token, tags), returns string
-		figure: null,                       // function(job, filename, token, tags), returns string
-		figures: null,                      // function(job, filename, token, tags), returns string
-		heading: null                       // function(level, title, tags), returns string
+		colbreak: null,                     // function(job, filename, token, html, metadata), returns string
+		banner: null,                       // function(job, filename, token, html, metadata), returns string
+		banners: null,                      // function(job, filename, token, html, metadata), returns string
+		sidebar: null,                      // function(job, filename, token, html, metadata), returns string
+		sidebars: null,                     // function(job, filename, token, html, metadata), returns string
+		page: null,                         // function(job, filename, token, html, metadata), returns string
+		pages: null,                        // function(job, filename, token, html, metadata), returns string
+		card: null,                         // function(job, filename, token, html, metadata), returns string
+		cards: null,                        // function(job, filename, token, html, metadata), returns string
+		poster: null,                       // function(job, filename, token, html, metadata), returns string
+		posters: null,                      // function(job, filename, token, html, metadata), returns string
+		content: null,                      // function(job, filename, token, html, metadata), returns string
+		contents: null,                     // function(job, filename, token, html, metadata), returns string
+		panel: null,                        // function(job, filename, token, html, metadata), returns string
+		panels: null,                       // function(job, filename, token, html, metadata), returns string
+		example: null,                      // function(job, filename, token, html, metadata), returns string
+		examples: null,                     // function(job, filename, token, html, metadata), returns string
+		region: null,                       // function(job, filename, token, html, metadata), returns string
+		regions: null,                      // function(job, filename, token, html, metadata), returns string
+		section: null,                      // function(job, filename, token, html, metadata), returns string (collection sections)
+		figure: null,                       // function(job, filename, token, html, metadata), returns string
+		figures: null,                      // function(job, filename, token, html, metadata), returns string
+		footnote: null,                     // function(job, filename, token, html, metadata), returns string with a data-footnote attribute
+		include: null,                      // function(job, filename, token, html, metadata), returns string
+		ref: null,                          // function(job, filename, token, id, metadata), returns string
+		heading: null,                      // function(job, filename, token, html, metadata), token has level, text, tags, and slug (formats that still support MarkdownMaker v3 get the deprecated function(level, title, tags, metadata), with the slug in tags.slug)
+		code: null,                         // function(job, filename, token, html, metadata), html is marked's default markup
+		blockquote: null,                   // function(job, filename, token, html, metadata), html is marked's default markup
+		html: null,                         // function(job, filename, token, html, metadata), html is marked's default markup
+		hr: null,                           // function(job, filename, token, html, metadata), html is marked's default markup
+		list: null,                         // function(job, filename, token, html, metadata), html is marked's default markup
+		listitem: null,                     // function(job, filename, token, html, metadata), html is marked's default markup
+		checkbox: null,                     // function(job, filename, token, html, metadata), html is marked's default markup
+		paragraph: null,                    // function(job, filename, token, html, metadata), html is marked's default markup
+		table: null,                        // function(job, filename, token, html, metadata), html is marked's default markup
+		tablerow: null,                     // function(job, filename, token, html, metadata), html is marked's default markup
+		tablecell: null,                    // function(job, filename, token, html, metadata), html is marked's default markup
+		strong: null,                       // function(job, filename, token, html, metadata), html is marked's default markup
+		em: null,                           // function(job, filename, token, html, metadata), html is marked's default markup
+		codespan: null,                     // function(job, filename, token, html, metadata), html is marked's default markup
+		br: null,                           // function(job, filename, token, html, metadata), html is marked's default markup
+		del: null,                          // function(job, filename, token, html, metadata), html is marked's default markup
+		link: null,                         // function(job, filename, token, html, metadata), html is marked's default markup
+		image: null,                        // function(job, filename, token, html, metadata), html is marked's default markup
+		text: null                          // function(job, filename, token, html, metadata), html is marked's default markup
+	};
+	footnotes = {
+		placement: null                     // "page" (end of each \page block), "fragment" (end of each fragment, the default), or "collection" (endnotes)
+	};
+	extensions = {
+		block: [],                          // block extension names (\nameBegin … \nameEnd) or marked.js extension objects
+		inline: []                          // inline extension names (\name{text}) or marked.js extension objects
+	};
+	schema = {
+		collection: null                    // a JSON schema that collections must also match (on top of schemas/collection.json)
 	};
 	blueprint = {};
 	module = {};
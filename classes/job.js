@@ -14,6 +14,9 @@ class Job {
 	debug = null;
 	files = null;
 	fragments = null;
+	strict = null;
+	profile = null;
+	cache = null;
 	export = null;
 	pages = null;
 	task = null;
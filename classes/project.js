@@ -11,9 +11,30 @@ class Project {
 	author = null;                        // project author
 	description = null;                   // project description
 	format = {};                          // required formats
+	profile = null;                       // content profile for \ifBegin{"profile": …} conditions (e.g. "print" or "vtt"); --profile overrides it
+	footnotes = {
+		placement: null                     // overrides the format's footnote placement
+	};
+	sanitize = {
+		enabled: false,                     // strip non-whitelisted elements/attributes from built HTML (for untrusted content)
+		elements: null,                     // allowed elements (defaults to common text and layout elements)
+		attributes: null                    // allowed attributes (defaults to common attributes; "data-*" allows all data attributes)
+	};
+	fingerprint = {
+		enabled: false,                     // write images, fonts, scripts, and stylesheets with content-hashed names, and rewrite src/href/url() references to them
+		length: 8                           // number of hash characters in each fingerprinted name
+	};
+	sass = {
+		variables: {}                       // Sass variables declared before each stylesheet is compiled (e.g. { "brand-color": "#c00", "page-width": "210mm" })
+	};
+	extensions = {
+		block: [],                          // block extension names (\nameBegin … \nameEnd) or marked.js extension objects
+		inline: []                          // inline extension names (\name{text}) or marked.js extension objects
+	};
+	markdown = {};                        // markdown render overrides, as per Format.markdown (these take precedence)
 	override = {
-		processDomFragment: null,           // function(job, dom)
-		processDomCollection: null          // function(job, dom, collection)
+		processDomFragment: null,           // function(job, dom, metadata)
+		processDomCollection: null          // function(job, dom, collection, metadata)
 	};
 
 	/**
@@ -12,15 +12,20 @@ import { clean } from './programs/clean.js';
 import { default as Format } from './classes/format.js';
 import { default as Maker } from './classes/maker.js';
 import { default as Project } from './classes/project.js';
+import { escapeHtml, slugify } from './utilities/markdownManager.js';
 import { exportFiles } from './programs/export.js';
 import { findFile } from './utilities/fileManager.js';
 import { math } from './utilities/mathManager.js';
 import { InvalidArgumentError, program } from 'commander';
+import { verify } from './programs/verify.js';
 import { watch } from './programs/watch.js';
 import * as configManager from './utilities/configManager.js';
 import * as jobManager from './utilities/jobManager.js';
 import * as logManager from './utilities/logManager.js';
+import * as manifestManager from './utilities/manifestManager.js';
 import * as markdownManager from './utilities/markdownManager.js';
+import * as planManager from './utilities/planManager.js';
+import * as scheduleManager from './utilities/scheduleManager.js';
 
 /**
 * Main process. Parse input from the client and (if valid) run a program.
@@ -31,6 +36,7 @@ async function run(options) {
 		let config = await configManager.createConfig(options);
 		_initialiseLogger(config);
 		markdownManager.initialise();
+		scheduleManager.setConcurrency(config.concurrency);
 		_initialisePrograms(config);
 		await program.parseAsync(process.argv);
 	} catch (e) {
@@ -72,8 +78,14 @@ function _initialisePrograms(config) {
 		.option('-t, --tasks <task...>', 'Tasks to perform', _validateTaskName)
 		.option('-fi, --files <name...>', 'Files to bind')
 		.option('-fr, --fragments', 'Build fragments, not collections')
+		.option('-s, --strict', 'Treat malformed tags and unknown blocks as errors')
+		.option('-pf, --profile <name>', 'Content profile for conditional blocks (overrides the project\'s profile)')
+		.option('--no-cache', 'Rebuild everything, even if unchanged')
+		.option('-cc, --concurrency <n>', 'Maximum number of tasks to run at once', _validateConcurrency)
 		.option('-c, --clean', 'Delete prebuilt content')
+		.option('-v, --verify', 'Check built HTML for broken links and missing/unused assets')
 		.option('-w, --watch', 'Watch for changes')
+		.option('-dr, --dry-run', 'Show what would be done, without changing anything')
 		.option('-d, --debug', 'Show debug information')
 		.option('-di, --discrete', 'Minimal colors & graphics in logs')
 		.action(async function(args) {
@@ -82,11 +94,17 @@ function _initialisePrograms(config) {
 				.then(() => {
 					if (args.clean) {
 						let cleanJobs = jobManager.getCleanJobs(config, args);
-						return clean(cleanJobs);
+						return _runProgram(config.output.build, "clean", cleanJobs, clean, args.dryRun);
 					}
 				})
-				.then(() => { return build(buildJobs); })
-				.then(() => { if (args.watch) { return watch(buildJobs); } else { _postProgramSuccess(buildJobs); }})
+				.then(() => { return _runProgram(config.output.build, "build", buildJobs, build, args.dryRun); })
+				.then(() => {
+					if (args.verify) {
+						let verifyJobs = jobManager.getVerifyJobs(config, args);
+						return _runProgram(config.output.build, "verify", verifyJobs, verify, args.dryRun);
+					}
+				})
+				.then(() => { if (args.watch && !args.dryRun) { return watch(buildJobs); } else { _postProgramSuccess(buildJobs); }})
 				.catch((x) => { _postProgramError(x); });
 		});
 
@@ -95,12 +113,29 @@ function _initialisePrograms(config) {
 		.description('Delete any/all built content.')
 		.option('-p, --projects <name...>', 'Project names', (value, previous) => { return _validateProjectName(config, value, previous); })
 		.option('-f, --formats <name...>', 'Format names', (value, previous) => { return _validateFormatName(config, value, previous); })
+		.option('-dr, --dry-run', 'Show what would be done, without changing anything')
 		.option('-d, --debug', 'Show debug information')
 		.option('-di, --discrete', 'Minimal colors & graphics in logs')
 		.action(async function(args) {
 			let jobs = jobManager.getCleanJobs(config, args);
 			await _startProgram(args, process.argv, jobs)
-				.then(() => { return clean(jobs); })
+				.then(() => { return _runProgram(config.output.build, "clean", jobs, clean, args.dryRun); })
+				.then(() => { _postProgramSuccess(jobs) })
+				.catch((x) => { _postProgramError(x); });
+		});
+
+	program
+		.command('verify')
+		.description('Check built HTML for broken links and missing/unused assets.')
+		.option('-p, --projects <name...>', 'Project names', (value, previous) => { return _validateProjectName(config, value, previous); })
+		.option('-f, --formats <name...>', 'Format names', (value, previous) => { return _validateFormatName(config, value, previous); })
+		.option('-dr, --dry-run', 'Show what would be done, without changing anything')
+		.option('-d, --debug', 'Show debug information')
+		.option('-di, --discrete', 'Minimal colors & graphics in logs')
+		.action(async function(args) {
+			let jobs = jobManager.getVerifyJobs(config, args);
+			await _startProgram(args, process.argv, jobs)
+				.then(() => { return _runProgram(config.output.build, "verify", jobs, verify, args.dryRun); })
 				.then(() => { _postProgramSuccess(jobs) })
 				.catch((x) => { _postProgramError(x); });
 		});
@@ -114,12 +149,17 @@ function _initialisePrograms(config) {
 		.option('-t, --tasks <task...>', 'Tasks to perform', _validateTaskName)
 		.option('-fi, --files <name...>', 'Files to watch')
 		.option('-fr, --fragments', 'Build fragments, not collections')
+		.option('-s, --strict', 'Treat malformed tags and unknown blocks as errors')
+		.option('-pf, --profile <name>', 'Content profile for conditional blocks (overrides the project\'s profile)')
+		.option('--no-cache', 'Rebuild everything, even if unchanged')
+		.option('-cc, --concurrency <n>', 'Maximum number of tasks to run at once', _validateConcurrency)
+		.option('-dr, --dry-run', 'Show what would be done, without changing anything')
 		.option('-d, --debug', 'Show debug information')
 		.option('-di, --discrete', 'Minimal colors & graphics in logs')
 		.action(async function(args) {
 			let jobs = jobManager.getBuildJobs(config, args);
 			await _startProgram(args, process.argv, jobs)
-				.then(() => { return watch(jobs); })
+				.then(() => { if (args.dryRun) { planManager.postPlan(planManager.createPlan("watch", jobs)); } else { return watch(jobs); } })
 				.catch((x) => { _postProgramError(x); });
 		});
 
@@ -131,12 +171,14 @@ function _initialisePrograms(config) {
 		.option('-fi, --files <name...>', 'HTML files to render (or all files if none specified)')
 		.requiredOption('-ex, --export <type>', 'Export type (pdf, jpg, png, or zip)')
 		.option('-pg, --pages <pages>', 'Page ranges to render')
+		.option('-cc, --concurrency <n>', 'Maximum number of tasks (e.g. browsers) to run at once', _validateConcurrency)
+		.option('-dr, --dry-run', 'Show what would be done, without changing anything')
 		.option('-d, --debug', 'Show debug information')
 		.option('-di, --discrete', 'Minimal colors & graphics in logs')
 		.action(async function(args) {
 			let jobs = jobManager.getExportJobs(config, args);
 			await _startProgram(args, process.argv, jobs)
-				.then(() => { return exportFiles(jobs); })
+				.then(() => { return _runProgram(config.output.export, "export", jobs, exportFiles, args.dryRun); })
 				.then(() => { _postProgramSuccess(jobs) })
 				.catch((x) => { _postProgramError(x); });
 		});
@@ -146,6 +188,7 @@ function _initialisePrograms(config) {
 		.description('Check that the software and configuration are working correctly.')
 		.action(async function(args) {
 			await _startProgram(args, process.argv, null)
+				.then(() => { _postFormatChains(config); })
 				.then(() => { logManager.postSuccess(logManager.formatBg(`Set up is correct`, "green")); })
 				.catch((x) => { _postProgramError(x); });
 		});
@@ -160,6 +203,9 @@ function _startProgram(args, argv, jobs) {
 	try {
 		logManager.setIsDiscrete(args.discrete);
 		logManager.setLoggingLevel(args.debug ? 6 : 3);
+		if (args.concurrency) {
+			scheduleManager.setConcurrency(args.concurrency);
+		}
 		logManager.postEmptyLine();
 		logManager.postInfo(`Running program: ${logManager.formatBg(argv.splice(2).join(" "), 'blue')}`);
 		if (Array.isArray(jobs)) {
@@ -171,6 +217,38 @@ function _startProgram(args, argv, jobs) {
 	}
 }
 
+/**
+ * Run a program with a manifest, and save the manifest (as manifest.{command}.json) whether the program succeeds or fails.
+ * On a dry run, post the program's plan instead.
+ * @param {string} folder - The folder to save the manifest in.
+ * @param {string} command - The program name.
+ * @param {Object[]} jobs - A list of jobs to perform.
+ * @param {function} program - The program to run.
+ * @param {boolean} [dryRun] - True to only show what the program would do.
+ * @returns {Promise} Promise that resolves to the finished manifest (or the plan, on a dry run).
+ */
+function _runProgram(folder, command, jobs, program, dryRun) {
+	if (dryRun) {
+		const plan = planManager.createPlan(command, jobs, folder);
+		planManager.postPlan(plan);
+		return Promise.resolve(plan);
+	}
+	const manifest = manifestManager.createManifest(command, jobs);
+	return program(jobs, manifest).finally(() => {
+		logManager.postDebug(`Saved manifest: ${manifestManager.saveManifest(folder, manifest)}`);
+	});
+}
+
+/**
+ * Post the inheritance chain of each format (e.g. card v1.0.0 > print v2.1.0), from the format itself to its furthest parent.
+ * @param {Object} config - MarkdownMaker configuration details.
+ */
+function _postFormatChains(config) {
+	config.formats.forEach((x) => {
+		logManager.postInfo(`Format ${x.name}: ${[x, ...x.lineage].map((y) => `${y.name} v${y.version}`).join(" > ")}`);
+	});
+}
+
 /**
  * Log any errors.
  * @param {(string|string[])} error - One or more errors.
@@ -247,4 +325,18 @@ function _validateTaskName(taskName, previous) {
 	return tasks;
 }
 
-export { findFile, math, run, logManager, Format, Project, Maker };
\ No newline at end of file
+/**
+ * Validate a concurrency limit. Is used to validate program arguments before running a job.
+ * @param {string} value - Target concurrency limit.
+ * @returns {number} A validated concurrency limit.
+ * @throws {InvalidArgumentError} Concurrency must be a positive integer.
+ */
+function _validateConcurrency(value) {
+	let concurrency = Number(value);
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new InvalidArgumentError(`Concurrency must be a positive integer.`);
+	}
+	return concurrency;
+}
+
+export { escapeHtml, findFile, math, run, logManager, slugify, Format, Project, Maker };
\ No newline at end of file
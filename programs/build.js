@@ -7,10 +7,13 @@
  * @license GPL-3.0-or-later
  */
 
+import * as assetManager from '../utilities/assetManager.js';
 import * as fileManager from '../utilities/fileManager.js';
 import * as logManager from '../utilities/logManager.js';
 import * as buildManager from '../utilities/buildManager.js';
-import gulp from 'gulp';
+import * as manifestManager from '../utilities/manifestManager.js';
+import * as sassManager from '../utilities/sassManager.js';
+import * as scheduleManager from '../utilities/scheduleManager.js';
 import gulpif from 'gulp-if';
 import path from 'path';
 import plumber from 'gulp-plumber';
@@ -19,11 +22,14 @@ import sourcemaps from 'gulp-sourcemaps';
 import using from 'gulp-using';
 
 /**
- * Run all build tasks for all jobs.
+ * Run all build tasks for all jobs. Jobs are queued by the scheduler; asset tasks (fonts, images, scripts, vendors) finish before stylesheets are built, and stylesheets finish before any HTML is built. A task summary is posted once every stage has finished.
  * @param {Object[]} jobs - A list of build jobs to perform.
- * @returns {Promise} Promise that represents the success/failure states of all jobs.
+ * @param {Object} [manifest] - A manifest to record the run in (one is created if not given).
+ * @returns {Promise} Promise that resolves to the finished manifest, or rejects with a list of errors.
  */
-function build(jobs) {
+function build(jobs, manifest) {
+	manifest = manifest ? manifest : manifestManager.createManifest("build", jobs);
+	const done = scheduleManager.getStatus().done;
 	if (jobs.length > 0) {
 		logManager.postEmptyLine();
 		logManager.postInfo(logManager.formatBg(`Building [${[...new Set(jobs.map((x) => x.task))].join(", ")}]`, "blue"));
@@ -32,21 +38,38 @@ function build(jobs) {
 	return Promise.allSettled([
 			buildImages(jobs.filter((x) => x.task === "images")),
 			buildScripts(jobs.filter((x) => x.task === "scripts")),
-			buildStylesheets(jobs.filter((x) => x.task === "stylesheets")),
 			buildVendors(jobs.filter((x) => x.task === "vendors")),
-			buildHtml(jobs.filter((x) => x.task === "html")),
 			buildFonts(jobs.filter((x) => x.task === "fonts")),
 	])
-	.then((results) => { return _filterResults(results); });
+	.then((assetResults) => {
+		// Stylesheets are built once the assets they reference are deployed (so fingerprinted url() references can be rewritten)
+		return Promise.allSettled([buildStylesheets(jobs.filter((x) => x.task === "stylesheets"))]).then((stylesheetResults) => [...assetResults, ...stylesheetResults]);
+	})
+	.then((assetResults) => {
+		// HTML is built once every asset is deployed
+		return Promise.allSettled([buildHtml(jobs.filter((x) => x.task === "html"))]).then((htmlResults) => [...assetResults, ...htmlResults]);
+	})
+	.then((results) => {
+		if (jobs.length > 0) {
+			logManager.postInfo(`Tasks: ${scheduleManager.getStatus().done - done} done`);
+		}
+		return _filterResults(results);
+	})
+	.then(() => {
+		return manifestManager.finishManifest(manifest);
+	}, (errors) => {
+		manifestManager.finishManifest(manifest, errors);
+		return Promise.reject(errors);
+	});
 }
 
 /**
- * Build HTML files from markdown. If the format module contains a buildHtml function, run that instead.
+ * Build HTML files from markdown (one scheduled task per job). If the format module contains a buildHtml function, run that instead.
  * @param {Object[]} jobs - A list of build jobs to perform.
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildHtml(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Building HTML...");
 			let promise = null;
@@ -67,12 +90,13 @@ function buildHtml(jobs) {
 					}
 				}
 			}
-			promise.then(() => { _finishJob(job, "Built HTML"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Built HTML"); }).catch((e) => { _failJob(job, e); });
 			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
@@ -81,7 +105,7 @@ function buildHtml(jobs) {
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildScripts(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Deploying scripts...");
 			let promise = null;
@@ -89,19 +113,23 @@ function buildScripts(jobs) {
 				promise = job.format.override.buildScripts(job);
 			} else {
 				promise = new Promise((resolve, reject) => {
-					fileManager.getSrc(job.project, job.format, 'scripts', (job.files ? `@(${job.files.join('|')})` : '*.js'))
+					fileManager.getSrc(job.project, job.format, 'scripts', fileManager.getSources(job).files)
 						.pipe(plumber({ errorHandler: reject }))
 						.pipe(gulpif(job.debug, using()))
-						.pipe(gulp.dest(path.join(job.output.build, 'scripts')))
+						.pipe(manifestManager.recordInputs(job))
+						.pipe(assetManager.fingerprintAssets(job, 'scripts'))
+						.pipe(manifestManager.dest(job, path.join(job.output.build, 'scripts')))
 						.on('end', resolve)
 						.on('error', reject);
 				});
 			}
-			return promise.then(() => { _finishJob(job, "Deployed scripts"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Deployed scripts"); }).catch((e) => { _failJob(job, e); });
+			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
@@ -110,7 +138,7 @@ function buildScripts(jobs) {
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildImages(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Deploying images...");
 			let promise = null;
@@ -118,20 +146,23 @@ function buildImages(jobs) {
 				promise = job.format.override.buildImages(job);
 			} else {
 				promise = new Promise((resolve, reject) => {
-					fileManager.getSrc(job.project, job.format, 'images', (job.files ? `@(${job.files.join('|')})` : '*.+(jpg|jpeg|gif|png|svg)'))
+					fileManager.getSrc(job.project, job.format, 'images', fileManager.getSources(job).files)
 						.pipe(plumber({ errorHandler: reject }))
 						.pipe(gulpif(job.debug, using()))
-						.pipe(gulp.dest(path.join(job.output.build, 'images')))
+						.pipe(manifestManager.recordInputs(job))
+						.pipe(assetManager.fingerprintAssets(job, 'images'))
+						.pipe(manifestManager.dest(job, path.join(job.output.build, 'images')))
 						.on('end', resolve)
 						.on('error', reject);
 				});
 			}
-			promise.then(() => { _finishJob(job, "Deployed images"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Deployed images"); }).catch((e) => { _failJob(job, e); });
 			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
@@ -140,7 +171,7 @@ function buildImages(jobs) {
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildFonts(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Deploying fonts...");
 			let promise = null;
@@ -148,29 +179,32 @@ function buildFonts(jobs) {
 				promise = job.format.override.buildFonts(job);
 			} else {
 				promise = new Promise((resolve, reject) => {
-					fileManager.getSrc(job.project, job.format, 'fonts', (job.files ? `@(${job.files.join('|')})` : '*.*'))
+					fileManager.getSrc(job.project, job.format, 'fonts', fileManager.getSources(job).files)
 						.pipe(plumber({ errorHandler: reject }))
 						.pipe(gulpif(job.debug, using()))
-						.pipe(gulp.dest(path.join(job.output.build, 'fonts')))
+						.pipe(manifestManager.recordInputs(job))
+						.pipe(assetManager.fingerprintAssets(job, 'fonts'))
+						.pipe(manifestManager.dest(job, path.join(job.output.build, 'fonts')))
 						.on('end', resolve)
 						.on('error', reject);
 				});
 			}
-			promise.then(() => { _finishJob(job, "Deployed fonts"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Deployed fonts"); }).catch((e) => { _failJob(job, e); });
 			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
- * Build and deploy sass stylesheets from both project and format folders. If the format module contains a buildStylesheets function, run that instead.
+ * Build and deploy sass stylesheets from both project and format folders (which are also the Sass load paths), declaring any project Sass variables first. If the format module contains a buildStylesheets function, run that instead.
  * @param {Object[]} jobs - A list of build jobs to perform.
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildStylesheets(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Building stylesheets...");
 			let promise = null;
@@ -178,23 +212,27 @@ function buildStylesheets(jobs) {
 				promise = job.format.override.buildStylesheets(job);
 			} else {
 				promise = new Promise((resolve, reject) => {
-					fileManager.getSrc(job.project, job.format, 'stylesheets', (job.files ? `@(${job.files.join('|')})` : '*.scss'))
+					fileManager.getSrc(job.project, job.format, 'stylesheets', fileManager.getSources(job).files)
 						.pipe(plumber({ errorHandler: reject }))
 						.pipe(gulpif(job.debug, using()))
+						.pipe(manifestManager.recordInputs(job))
+						.pipe(sassManager.injectVariables(job))
 						.pipe(gulpif(job.debug, sourcemaps.init()))
-						.pipe(gulpif(job.debug, sass({ outputStyle: 'compressed' }), sass()))
+						.pipe(gulpif(job.debug, sass({ outputStyle: 'compressed', includePaths: sassManager.getLoadPaths(job), importer: sassManager.createImporter(job) }), sass({ includePaths: sassManager.getLoadPaths(job), importer: sassManager.createImporter(job) })))
 						.pipe(gulpif(job.debug, sourcemaps.write()))
-						.pipe(gulp.dest(path.join(job.output.build, 'stylesheets')))
+						.pipe(assetManager.fingerprintAssets(job, 'stylesheets'))
+						.pipe(manifestManager.dest(job, path.join(job.output.build, 'stylesheets')))
 						.on('end', resolve)
 						.on('error', reject);
 				});
 			}
-			promise.then(() => { _finishJob(job, "Deployed stylesheets"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Deployed stylesheets"); }).catch((e) => { _failJob(job, e); });
 			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
@@ -203,7 +241,7 @@ function buildStylesheets(jobs) {
  * @returns {Promise} Promise that represents the success/failure states of all jobs.
  */
 function buildVendors(jobs) {
-	return Promise.allSettled(jobs.flatMap((job) => {
+	return Promise.allSettled(jobs.map((job) => scheduleManager.schedule(() => {
 		try {
 			_startJob(job, "Deploying vendors...");
 			let promise = null;
@@ -211,20 +249,22 @@ function buildVendors(jobs) {
 				promise = job.format.override.buildVendors(job);
 			} else {
 				promise = new Promise((resolve, reject) => {
-					fileManager.getSrc(job.project, job.format, 'vendors', (job.files ? `@(${job.files.join('|')})` : '*.*'))
+					fileManager.getSrc(job.project, job.format, 'vendors', fileManager.getSources(job).files)
 						.pipe(plumber({ errorHandler: reject }))
 						.pipe(gulpif(job.debug, using()))
-						.pipe(gulp.dest(path.join(job.output.build, 'vendors')))
+						.pipe(manifestManager.recordInputs(job))
+						.pipe(manifestManager.dest(job, path.join(job.output.build, 'vendors')))
 						.on('end', resolve)
 						.on('error', reject);
 				});
 			}
-			promise.then(() => { _finishJob(job, "Deployed vendors"); }).catch(() => { });
+			promise.then(() => { _finishJob(job, "Deployed vendors"); }).catch((e) => { _failJob(job, e); });
 			return promise;
 		} catch (e) {
+			_failJob(job, e);
 			return Promise.reject(e);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))).then((results) => { return _filterResults(results); });
 }
 
 /**
@@ -248,6 +288,7 @@ function listBuildTasks() {
  * @param {string} text - Any additional text (i.e. task).
  */
 function _startJob(job, text) {
+	manifestManager.startJob(job);
 	logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, null, text));
 }
 
@@ -257,9 +298,19 @@ function _startJob(job, text) {
  * @param {string} text - Any additional text (i.e. task).
  */
 function _finishJob(job, text) {
+	manifestManager.finishJob(job);
 	logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, null, text));
 }
 
+/**
+ * Record that a job has failed.
+ * @param {Object} job - A job.
+ * @param {Error} error - The error that caused the job to fail.
+ */
+function _failJob(job, error) {
+	manifestManager.finishJob(job, error);
+}
+
 /**
  * Parse a list of promises for any errors—return a rejection if any errors are detected.
  * @param {Promise[]} results - A collection of Promises.
@@ -9,21 +9,36 @@
 
 import del from 'del';
 import * as logManager from '../utilities/logManager.js';
+import * as manifestManager from '../utilities/manifestManager.js';
 
 /**
  * Delete build artifact folders for a selection of jobs.
  * @param {Object[]} jobs - A list of clean jobs to perform.
- * @returns {Promise} Promise that represents the success/failure states of all jobs.
+ * @param {Object} [manifest] - A manifest to record the run in (one is created if not given).
+ * @returns {Promise} Promise that resolves to the finished manifest, or rejects with an error.
  */
-function clean(jobs) {
+function clean(jobs, manifest) {
+	manifest = manifest ? manifest : manifestManager.createManifest("clean", jobs);
 	try {
 		if (jobs.length > 0) {
 			let folders = jobs.flatMap((x) => [ x.output.build, x.output.export ]);
 			logManager.postEmptyLine();
 			logManager.postInfo(logManager.formatBg(`Deleting [${folders.join(", ")}]`, "blue"));
-			return del(folders);
 		}
+		return Promise.all(jobs.map((job) => {
+			manifestManager.startJob(job);
+			return del([ job.output.build, job.output.export ]).then((deleted) => {
+				manifestManager.recordDeleted(job, deleted);
+				manifestManager.finishJob(job);
+			});
+		})).then(() => {
+			return manifestManager.finishManifest(manifest);
+		}, (e) => {
+			manifestManager.finishManifest(manifest, [e]);
+			return Promise.reject(e);
+		});
 	} catch (e) {
+		manifestManager.finishManifest(manifest, [e]);
 		return Promise.reject(e);
 	}
 }
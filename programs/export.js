@@ -10,14 +10,19 @@
 import * as exportManager from '../utilities/exportManager.js';
 import * as fileManager from '../utilities/fileManager.js';
 import * as logManager from '../utilities/logManager.js';
+import * as manifestManager from '../utilities/manifestManager.js';
+import * as scheduleManager from '../utilities/scheduleManager.js';
 import path from 'path';
 
 /**
- * Run export processes for a set of jobs.
+ * Run export processes for a set of jobs. Each exported file (or ZIP) is queued by the scheduler, so only a limited number of browsers run at once. A task summary is posted once every file has been exported.
  * @param {Object[]} jobs - A list of export jobs to perform.
- * @returns {Promise} Promise that represents the success/failure states of all jobs.
+ * @param {Object} [manifest] - A manifest to record the run in (one is created if not given).
+ * @returns {Promise} Promise that resolves to the finished manifest, or rejects with a list of errors.
  */
-function exportFiles(jobs) {
+function exportFiles(jobs, manifest) {
+	manifest = manifest ? manifest : manifestManager.createManifest("export", jobs);
+	const done = scheduleManager.getStatus().done;
 	if (jobs.length > 0) {
 		logManager.postEmptyLine();
 		logManager.postInfo(logManager.formatBg(`Exporting [${jobs.map((x) => `${x.project.name}/${x.format.name}`).join(", ")}]`, "blue"));
@@ -36,7 +41,19 @@ function exportFiles(jobs) {
 			default:
 				return Promise.reject(`${job.export} is not a valid export format`);
 		}
-	})).then((results) => { return _filterResults(results); });
+	}))
+	.then((results) => {
+		if (jobs.length > 0) {
+			logManager.postInfo(`Tasks: ${scheduleManager.getStatus().done - done} done`);
+		}
+		return _filterResults(results);
+	})
+	.then(() => {
+		return manifestManager.finishManifest(manifest);
+	}, (errors) => {
+		manifestManager.finishManifest(manifest, errors);
+		return Promise.reject(errors);
+	});
 }
 
 /**
@@ -61,7 +78,7 @@ function _exportPdfs(job) {
 	let files = fileManager.listFilenames(path.join(job.output.build, "html", `${job.files ? `@(${job.files.join("|")})` : '*.html'}`));
 	if (files.length > 0) {
 		_startJob(job, `Exporting ${files.length} PDF(s)...`);
-		return Promise.allSettled(files.flatMap((file) => {
+		return Promise.allSettled(files.map((file) => scheduleManager.schedule(() => {
 			try {
 				let promise = null;
 				let options = Object.assign({}, job.format.export["pdf"], { pageRanges: job.pages });
@@ -74,7 +91,7 @@ function _exportPdfs(job) {
 			} catch (e) {
 				return Promise.reject(e);
 			}
-		})).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported PDFs"); }, () => {});
+		}))).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported PDFs"); }, (e) => { _failJob(job, e); return Promise.reject(e); });
 	} else {
 		return Promise.resolve();
 	}
@@ -89,7 +106,7 @@ function _exportPngs(job) {
 	let files = fileManager.listFilenames(path.join(job.output.build, "html", `${job.files ? `@(${job.files.join("|")})` : '*.html'}`));
 	if (files.length > 0) {
 		_startJob(job, `Exporting PNGs for ${files.length} file(s)...`);
-		return Promise.allSettled(files.flatMap((file) => {
+		return Promise.allSettled(files.map((file) => scheduleManager.schedule(() => {
 			try {
 				let promise = null;
 				let options = Object.assign({}, job.format.export["png"], { pageRanges: job.pages });
@@ -102,7 +119,7 @@ function _exportPngs(job) {
 			} catch (e) {
 				return Promise.reject(e);
 			}
-		})).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported PNGs"); }, () => {});
+		}))).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported PNGs"); }, (e) => { _failJob(job, e); return Promise.reject(e); });
 	} else {
 		return Promise.resolve();
 	}
@@ -117,7 +134,7 @@ function _exportJpgs(job) {
 	let files = fileManager.listFilenames(path.join(job.output.build, "html", `${job.files ? `@(${job.files.join("|")})` : '*.html'}`));
 	if (files.length > 0) {
 		_startJob(job, `Exporting JPGs for ${files.length} file(s)...`);
-		return Promise.allSettled(files.flatMap((file) => {
+		return Promise.allSettled(files.map((file) => scheduleManager.schedule(() => {
 			try {
 				let promise = null;
 				let options = Object.assign({}, job.format.export["jpg"], { pageRanges: job.pages });
@@ -130,7 +147,7 @@ function _exportJpgs(job) {
 			} catch (e) {
 				return Promise.reject(e);
 			}
-		})).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported JPGs"); }, () => {});
+		}))).then((results) => { return _filterResults(results); }).then(() => { _finishJob(job, "Exported JPGs"); }, (e) => { _failJob(job, e); return Promise.reject(e); });
 	} else {
 		return Promise.resolve();
 	}
@@ -142,14 +159,15 @@ function _exportJpgs(job) {
  * @returns {Promise} Promise that represents the success/failure state of the job.
  */
  function _exportZip(job) {
-	_startJob(job, `Exporting ZIP...`);
-	let promise = null;
-	if (typeof job.format.override.exportZip === 'function') {
-		promise = job.format.override.exportZip(job);
-	} else {
-		promise = exportManager.exportZip(job);
-	}
-	return promise.then((result) => { _finishJob(job, result); }).then(() => { _finishJob(job, "Exported ZIP"); }, () => {});
+	let promise = scheduleManager.schedule(() => {
+		_startJob(job, `Exporting ZIP...`);
+		if (typeof job.format.override.exportZip === 'function') {
+			return job.format.override.exportZip(job);
+		} else {
+			return exportManager.exportZip(job);
+		}
+	});
+	return promise.then((result) => { _finishJob(job, result); }).then(() => { _finishJob(job, "Exported ZIP"); }, (e) => { _failJob(job, e); return Promise.reject(e); });
 }
 
 /**
@@ -158,6 +176,7 @@ function _exportJpgs(job) {
  * @param {string} text - Any additional text (i.e. task).
  */
  function _startJob(job, text) {
+	manifestManager.startJob(job);
 	logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, null, text));
 }
 
@@ -167,9 +186,19 @@ function _exportJpgs(job) {
  * @param {string} text - Any additional text (i.e. task).
  */
 function _finishJob(job, text) {
+	manifestManager.finishJob(job);
 	logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, null, text));
 }
 
+/**
+ * Record that a job has failed.
+ * @param {Object} job - A job.
+ * @param {Error} error - The error that caused the job to fail.
+ */
+function _failJob(job, error) {
+	manifestManager.finishJob(job, error);
+}
+
 /**
  * Parse a list of promises for any errors—return a rejection if any errors are detected.
  * @param {Promise[]} results - A collection of Promises.
@@ -0,0 +1,59 @@
+/**
+ * This program is in charge of verifying built content (broken links and missing or unused assets).
+ *
+ * @module Verify
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as logManager from '../utilities/logManager.js';
+import * as manifestManager from '../utilities/manifestManager.js';
+import * as verifyManager from '../utilities/verifyManager.js';
+
+/**
+ * Verify the built HTML of a selection of jobs: missing targets are errors, and unused assets are warnings.
+ * @param {Object[]} jobs - A list of verify jobs to perform.
+ * @param {Object} [manifest] - A manifest to record the run in (one is created if not given).
+ * @returns {Promise} Promise that resolves to the finished manifest, or rejects with a list of errors.
+ */
+function verify(jobs, manifest) {
+	manifest = manifest ? manifest : manifestManager.createManifest("verify", jobs);
+	if (jobs.length > 0) {
+		logManager.postEmptyLine();
+		logManager.postInfo(logManager.formatBg(`Verifying [${jobs.map((x) => `${x.project.name}/${x.format.name}`).join(", ")}]`, "blue"));
+		logManager.postEmptyLine();
+	}
+	let errors = [];
+	jobs.forEach((job) => {
+		try {
+			manifestManager.startJob(job);
+			const report = verifyManager.verifyOutput(job);
+			report.missing.forEach((x) => {
+				errors.push(logManager.formatTask(job.project.name, job.format.name, x.file, `Missing target "${x.reference}"`));
+			});
+			report.unused.forEach((x) => {
+				logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, null, `Unused asset "${x}"`));
+			});
+			const summary = `Verified ${report.files.length} HTML file(s): ${report.missing.length} missing target(s), ${report.unused.length} unused asset(s)`;
+			if (report.missing.length > 0) {
+				manifestManager.finishJob(job, new Error(summary));
+				logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, null, summary));
+			} else {
+				manifestManager.finishJob(job);
+				logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, null, summary));
+			}
+		} catch (e) {
+			manifestManager.finishJob(job, e);
+			errors.push(e);
+		}
+	});
+	if (errors.length > 0) {
+		manifestManager.finishManifest(manifest, errors);
+		return Promise.reject(errors);
+	} else {
+		return Promise.resolve(manifestManager.finishManifest(manifest));
+	}
+}
+
+export { verify };
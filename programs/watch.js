@@ -8,9 +8,13 @@
  */
 
 import * as build from "./build.js";
+import * as cacheManager from "../utilities/cacheManager.js";
+import * as fileManager from "../utilities/fileManager.js";
 import * as logManager from "../utilities/logManager.js";
 import * as translationManager from "../utilities/translationManager.js";
+import { default as Job } from "../classes/job.js";
 import gulp from "gulp";
+import path from "path";
 
 /**
  * Watch all folders for changes and retrigger build processes.
@@ -23,7 +27,7 @@ function watch(jobs) {
 		logManager.postInfo(logManager.formatBg(`Watching [${[...new Set(jobs.map((x) => x.task))].join(', ')}] for changes`, "blue"));
 		logManager.postEmptyLine();
 		jobs.filter((x) => x.task === "fonts").forEach((x) => _watchFolders(x, 'fonts/**/*.*', build.buildFonts));
-		jobs.filter((x) => x.task === "html").forEach((x) => _watchFolders(x, '{fragments,collections}/**/*.*', build.buildHtml));
+		jobs.filter((x) => x.task === "html").forEach((x) => _watchHtml(x));
 		jobs.filter((x) => x.task === "html").forEach((x) => _watchFolders(x, 'translations/**/*.*', _deleteTranslations));
 		jobs.filter((x) => x.task === "images").forEach((x) => _watchFolders(x, 'images/**/*.+(jpg|jpeg|gif|png|svg)', build.buildImages));
 		jobs.filter((x) => x.task === "scripts").forEach((x) => _watchFolders(x, 'scripts/**/*.js', build.buildScripts));
@@ -45,6 +49,69 @@ function _watchFolders(job, path, cb) {
 	});
 }
 
+/**
+ * Watch fragments, collections, and any other files read during the last build (e.g. blueprint data), and rebuild only the HTML outputs that depend on a changed file.
+ * @param {Object} job - A html job.
+ */
+function _watchHtml(job) {
+	const watcher = gulp.watch([
+		..._listFolders(job, '{fragments,collections}/**/*.*'),
+		...cacheManager.listDependencies(job).flatMap((x) => _listFolders(job, x))
+	]);
+	watcher.on('all', async(event, filepath) => {
+		const affectedJob = _getAffectedJob(job, filepath);
+		if (affectedJob) {
+			await build.buildHtml([affectedJob]).catch((e) => {
+				e.forEach((x) => logManager.postError(x));
+			});
+			watcher.add(cacheManager.listDependencies(job).flatMap((x) => _listFolders(job, x)));
+		}
+	});
+}
+
+/**
+ * Work out which of a job's outputs depend on a changed file, using the files each output read during its last build.
+ * Falls back to the whole job if the job hasn't been built yet or its outputs can't be tracked (i.e. custom HTML builders).
+ * @param {Object} job - A html job.
+ * @param {string} filepath - The path of the changed file.
+ * @returns {Object|null} A job limited to the affected files, the whole job, or null if nothing is affected.
+ */
+function _getAffectedJob(job, filepath) {
+	const relativePath = _getRelativePath(job, filepath);
+	const source = job.fragments ? `fragments/${job.language}/` : `collections/${job.language}/`;
+	let dependents = relativePath ? cacheManager.listDependents(job, relativePath) : null;
+	if (typeof job.format.override.buildHtml === 'function' || (!job.fragments && typeof job.format.override.renderCollectionJson === 'function')) {
+		dependents = null;
+	}
+	if (dependents == null) {
+		logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, null, `Rebuilding all ${job.language} HTML (${relativePath ? relativePath : filepath} changed)`));
+		return job;
+	}
+	if (relativePath.startsWith(source) && !dependents.includes(path.basename(relativePath))) {
+		dependents.push(path.basename(relativePath));
+	}
+	if (dependents.length == 0) {
+		logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, null, `Nothing to rebuild in ${job.language} (${relativePath} changed)`));
+		return null;
+	}
+	dependents.forEach((x) => {
+		logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, x, `Rebuilding (${relativePath} changed)`));
+	});
+	return new Job(Object.assign({}, job, { files: dependents }));
+}
+
+/**
+ * Get the path of a file relative to whichever project/format folder it belongs to.
+ * @param {Object} job - A job.
+ * @param {string} filepath - A file path.
+ * @returns {string|null} A relative path (e.g. fragments/en/intro.md), or null if the file is outside the job's folders.
+ */
+function _getRelativePath(job, filepath) {
+	const relativePath = fileManager.getLayerPaths(job.project, job.format, "")
+		.map((x) => path.relative(x, path.resolve(filepath))).find((x) => !x.startsWith("..") && !path.isAbsolute(x));
+	return relativePath ? relativePath.split(path.sep).join("/") : null;
+}
+
 /**
  * Delete all loaded translations and rebuild HTML.
  * @param {Object[]} jobs - A list of watch jobs to perform.
@@ -62,11 +129,7 @@ function _deleteTranslations(jobs) {
  * @returns {string[]} A list of folders.
  */
 function _listFolders(job, path) {
-	return [
-		`${job.format.src.replace(/\\/g, "/")}/${path}`,
-		`${job.project.src.replace(/\\/g, "/")}/${path}`,
-		`${job.project.src.replace(/\\/g, "/")}/formats/${job.format.name}/${path}`
-	];
+	return fileManager.getLayerPaths(job.project, job.format, "").reverse().map((x) => `${x.replace(/\\/g, "/").replace(/\/$/, "")}/${path}`);
 }
 
 export { watch };
\ No newline at end of file
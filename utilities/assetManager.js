@@ -0,0 +1,153 @@
+/**
+ * This utility is in charge of asset fingerprinting: writing assets with content-hashed names, and rewriting references to them.
+ * Every fingerprinted asset is recorded in an asset map (assets.json in the job's build folder), e.g. { "images/map.png": "images/map.1a2b3c4d.png" }.
+ *
+ * @module AssetManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as fileManager from './fileManager.js';
+import * as manifestManager from './manifestManager.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import through2 from 'through2';
+
+/**
+ * Create a stream transform that renames each asset with a hash of its contents and records it in the asset map.
+ * Stylesheets have their url() references rewritten before they're hashed. Does nothing unless the project enables fingerprinting.
+ * The asset map is updated once the stream ends, and any file named after an asset's previous fingerprint is deleted.
+ * @param {Object} job - A specific job.
+ * @param {string} folder - The asset's build folder (e.g. images).
+ * @returns {Object} A through2 stream.
+ */
+function fingerprintAssets(job, folder) {
+	let assets = null;
+	let fingerprinted = {};
+	return through2.obj((chunk, enc, callback) => {
+		if (job.project.fingerprint?.enabled && chunk.isBuffer()) {
+			assets = assets ? assets : loadAssetMap(job);
+			const asset = path.posix.join(folder, chunk.relative.split(path.sep).join("/"));
+			if (path.extname(chunk.path) === ".css") {
+				chunk.contents = Buffer.from(rewriteCss(job, chunk.contents.toString(), asset, assets));
+			}
+			const hash = crypto.createHash('sha256').update(chunk.contents).digest('hex').slice(0, job.project.fingerprint.length ? job.project.fingerprint.length : 8);
+			const file = path.parse(chunk.path);
+			chunk.path = path.join(file.dir, `${file.name}.${hash}${file.ext}`);
+			fingerprinted[asset] = path.posix.join(folder, chunk.relative.split(path.sep).join("/"));
+		}
+		callback(null, chunk);
+	}, (callback) => {
+		try {
+			if (Object.keys(fingerprinted).length > 0) {
+				_updateAssetMap(job, fingerprinted);
+			}
+			callback();
+		} catch (e) {
+			callback(e);
+		}
+	});
+}
+
+/**
+ * Load a job's asset map.
+ * @param {Object} job - A specific job.
+ * @returns {Object} A map of asset paths to fingerprinted paths (relative to the build folder), or an empty map if fingerprinting isn't enabled.
+ */
+function loadAssetMap(job) {
+	const mapPath = getAssetMapPath(job);
+	if (!job.project.fingerprint?.enabled || !fs.existsSync(mapPath)) {
+		return {};
+	}
+	try {
+		return JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+	} catch (e) {
+		return {};
+	}
+}
+
+/**
+ * Get the path of a job's asset map.
+ * @param {Object} job - A specific job.
+ * @returns {string} A file path.
+ */
+function getAssetMapPath(job) {
+	return path.join(job.output.build, "assets.json");
+}
+
+/**
+ * Point any src/href attributes in the DOM at fingerprinted assets. Does nothing unless the project enables fingerprinting.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @returns {Object} An updated dom.
+ */
+function rewriteReferences(job, dom) {
+	const assets = loadAssetMap(job);
+	if (Object.keys(assets).length > 0) {
+		["src", "href"].forEach((attribute) => {
+			dom.querySelectorAll(`[${attribute}]`).forEach((x) => {
+				x.setAttribute(attribute, _resolveReference(assets, "html", x.getAttribute(attribute)));
+			});
+		});
+	}
+	return dom;
+}
+
+/**
+ * Point any url() references in a stylesheet at fingerprinted assets.
+ * @param {Object} job - A specific job.
+ * @param {string} css - The stylesheet.
+ * @param {string} asset - The stylesheet's path, relative to the build folder (e.g. stylesheets/main.css).
+ * @param {Object} [assets] - An already-loaded asset map (the job's asset map is loaded if not given).
+ * @returns {string} The updated stylesheet.
+ */
+function rewriteCss(job, css, asset, assets) {
+	assets = assets ? assets : loadAssetMap(job);
+	if (Object.keys(assets).length == 0) {
+		return css;
+	}
+	return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, reference) => {
+		return `url(${quote}${_resolveReference(assets, path.posix.dirname(asset), reference.trim())}${quote})`;
+	});
+}
+
+/**
+ * Resolve a relative reference against the asset map, keeping any query string or hash.
+ * @param {Object} assets - An asset map.
+ * @param {string} folder - The folder of the referencing file, relative to the build folder (e.g. html).
+ * @param {string} reference - A reference (e.g. ../images/map.png#detail).
+ * @returns {string} The fingerprinted reference, or the original reference if it isn't a known asset.
+ */
+function _resolveReference(assets, folder, reference) {
+	const parts = reference.match(/^([^?#]*)(.*)$/);
+	if (!parts[1] || parts[1].match(/^([a-z][a-z0-9+.-]*:|\/)/i)) {
+		return reference;
+	}
+	const asset = path.posix.normalize(path.posix.join(folder, parts[1]));
+	return assets[asset] ? `${path.posix.relative(folder, assets[asset])}${parts[2]}` : reference;
+}
+
+/**
+ * Add (or replace) a set of assets in the job's asset map, and delete any files named after an asset's previous fingerprint.
+ * The map is re-read before it's written, so jobs that share a build folder (e.g. images and scripts) keep each other's entries.
+ * @param {Object} job - A specific job.
+ * @param {Object} fingerprinted - A map of asset paths to fingerprinted paths, relative to the build folder.
+ */
+function _updateAssetMap(job, fingerprinted) {
+	const mapPath = getAssetMapPath(job);
+	const assets = loadAssetMap(job);
+	const stale = Object.entries(fingerprinted)
+		.filter(([asset, x]) => assets[asset] && assets[asset] !== x)
+		.map(([asset]) => path.join(job.output.build, assets[asset]))
+		.filter((x) => fs.existsSync(x));
+	stale.forEach((x) => fs.unlinkSync(x));
+	manifestManager.recordDeleted(job, stale);
+	Object.assign(assets, fingerprinted);
+	fileManager.createPath(path.dirname(mapPath));
+	fs.writeFileSync(mapPath, JSON.stringify(assets, Object.keys(assets).sort(), "\t"));
+	manifestManager.recordOutput(job, mapPath);
+}
+
+export { fingerprintAssets, getAssetMapPath, loadAssetMap, rewriteCss, rewriteReferences };
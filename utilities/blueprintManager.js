@@ -7,6 +7,7 @@
  * @license GPL-3.0-or-later
  */
 
+import * as cacheManager from './cacheManager.js';
 import * as fileManager from './fileManager.js';
 import YAML from 'yaml';
 
@@ -55,6 +56,7 @@ function _getConfig(data, language) {
  */
  function _getData(job, element) {
 	if (element.dataset.src) {
+		cacheManager.recordDependency(job, element.dataset.src);
 		let file = fileManager.findFile(job.project, job.format, element.dataset.src);
 		if (!file) {
 			throw new ReferenceError(`Couldn't find blueprint src file [${element.dataset.src}]`);
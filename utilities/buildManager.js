@@ -7,13 +7,21 @@
  * @license GPL-3.0-or-later
  */
 
+import * as assetManager from './assetManager.js';
 import * as blueprintManager from './blueprintManager.js';
+import * as cacheManager from './cacheManager.js';
+import * as collectionManager from './collectionManager.js';
 import * as fileManager from './fileManager.js';
+import * as footnoteManager from './footnoteManager.js';
+import * as indexManager from './indexManager.js';
 import * as logManager from './logManager.js';
+import * as manifestManager from './manifestManager.js';
 import * as markdownManager from './markdownManager.js';
+import * as referenceManager from './referenceManager.js';
+import * as sanitizeManager from './sanitizeManager.js';
+import * as tocManager from './tocManager.js';
 import beautify from 'gulp-beautify';
 import dom from 'gulp-dom';
-import gulp from 'gulp';
 import gulpif from 'gulp-if';
 import path from 'path';
 import plumber from 'gulp-plumber';
@@ -22,25 +30,46 @@ import through2 from 'through2';
 import using from 'gulp-using';
 
 /**
- * Build HTML fragments from markdown.
+ * Build HTML fragments from markdown. Fragments whose inputs haven't changed since the last build are skipped (unless caching is disabled).
  * @param {Object} job - A specific job to perform.
  * @returns {Promise} Promise that represents the success/failure state of the job.
  */
  function buildHtmlFragments(job) {
 	return new Promise((resolve, reject) => {
 		let filename = '';
+		let metadata = null;
+		const cache = cacheManager.loadCache(job);
 		const stream = fileManager.getSrc(job.project, job.format, `fragments/${job.language}`, (job.files ? `@(${job.files.join('|')})` : '*.md'))
 			.pipe(plumber({ errorHandler: reject }))
 			.pipe(gulpif(job.debug, using()))
+			.pipe(manifestManager.recordInputs(job))
 			.pipe(through2.obj((chunk, enc, callback) => {
 				filename = path.basename(chunk.path, ".md");
 				try {
+					// Skip the fragment if nothing has changed since the last build
+					let key = cacheManager.createKey(job, chunk.contents.toString());
+					let output = (typeof job.format.override.saveFragment === 'function') ? null : path.join(job.output.build, 'html', `${filename}${job.language ? `_${job.language}` : ''}.html`);
+					if (cacheManager.isFresh(job, cache, `${filename}.md`, key, output)) {
+						logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, `${filename}.md`, "Skipped HTML fragment (unchanged)"));
+						if (output) {
+							manifestManager.recordOutput(job, output, true);
+						}
+						callback();
+						return;
+					}
+					chunk.cache = { name: `${filename}.md`, key: key };
+					cacheManager.startRecording(job);
+
+					// Split any front matter from the markdown
+					let fragment = markdownManager.parseFrontMatter(chunk.contents.toString());
+					metadata = fragment.metadata;
+
 					// Render the markdown into HTML
-					let html = markdownManager.renderAsHtml(job, filename, chunk.contents.toString());
+					let html = markdownManager.renderAsHtml(job, filename, fragment.markdown, metadata, [{ filename: `${job.language}/${filename}.md`, start: 1, offset: fragment.offset }]);
 
 					// Wrap the page in HTML head/body tags
 					if (typeof job.format.override.renderHtmlFragmentWrapper === 'function') {
-						html = job.format.override.renderHtmlFragmentWrapper(job, filename, html);
+						html = job.format.override.renderHtmlFragmentWrapper(job, filename, html, metadata);
 					} else {
 						html = `<html><head></head><body>${html}</body></html>`;
 					}
@@ -54,18 +83,29 @@ import using from 'gulp-using';
 			.pipe(dom(function() {
 				// Apply format and project-specific HTML adjustments
 				if (typeof job.format.override.processDomFragment === 'function') {
-					job.format.override.processDomFragment(job, this);
+					job.format.override.processDomFragment(job, this, metadata);
 				}
 				if (typeof job.project.override.processDomFragment === 'function') {
-					job.project.override.processDomFragment(job, this);
+					job.project.override.processDomFragment(job, this, metadata);
 				}
 				// Run blueprint renderers (if any)
 				blueprintManager.renderBlueprints(job, this);
 				// Apply translations (if any)
 				job.translator.processDom(job, this);
+				// Number and place footnotes (if any)
+				footnoteManager.renderFootnotes(job, this, filename);
+				// Fill in any back-of-book index
+				indexManager.renderIndex(job, this);
+				// Fill in tables of contents (if any)
+				tocManager.renderTocs(job, this, filename);
+				// Strip anything that isn't whitelisted (if enabled)
+				sanitizeManager.sanitizeDom(job, this);
+				// Point asset references at fingerprinted files (if enabled)
+				assetManager.rewriteReferences(job, this);
 				return this;
 			}))
-			.pipe(beautify.html({ indent_with_tabs: true }));
+			.pipe(beautify.html({ indent_with_tabs: true }))
+			.pipe(through2.obj(_updateCache(job, cache)));
 
 		// Save the fragment
 		if (typeof job.format.override.saveFragment === 'function') {
@@ -76,15 +116,18 @@ import using from 'gulp-using';
 				path.extname = '.html';
 				logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, path.basename + path.extname, "Built HTML fragment"));
 			}))
-			.pipe(gulp.dest(path.join(job.output.build, 'html')));
+			.pipe(manifestManager.dest(job, path.join(job.output.build, 'html')));
 		}
 		
-		stream.on('end', resolve).on('error', reject);
+		stream.on('end', () => {
+			cacheManager.saveCache(job, cache);
+			resolve();
+		}).on('error', reject);
 	});
 }
 
 /**
- * Build HTML collections from json configuration files.
+ * Build HTML collections from json/yaml configuration files. Collections whose inputs haven't changed since the last build are skipped (unless caching is disabled).
  * @param {Object} job - A specific job to perform.
  * @returns {Promise} Promise that represents the success/failure state of the job.
  */
@@ -92,46 +135,80 @@ function buildHtmlCollections(job) {
 	return new Promise((resolve, reject) => {
 		let filename = '';
 		let collection = null;
-		const stream = fileManager.getSrc(job.project, job.format, `collections/${job.language}`, (job.files ? `@(${job.files.join('|')})` : '*.json'))
+		let metadata = null;
+		const cache = cacheManager.loadCache(job);
+		const stream = fileManager.getSrc(job.project, job.format, `collections/${job.language}`, (job.files ? `@(${job.files.join('|')})` : '*.+(json|yml|yaml)'))
 			.pipe(plumber({ errorHandler: reject }))
 			.pipe(gulpif(job.debug, using()))
+			.pipe(manifestManager.recordInputs(job))
 			.pipe(through2.obj((chunk, enc, callback) => {
 				let collectionFilename = path.basename(chunk.path);
 				try {
-					collection = JSON.parse(chunk.contents.toString());
-
-					// Validate collection file
-					if (typeof job.format.override.validateCollectionJson === 'function') {
-						collection = job.format.override.validateCollectionJson(collection)
-					} else {
-						collection = _validateCollectionJson(collection);
-					}
+					// Parse and validate the collection file
+					collection = collectionManager.parseCollection(job, collectionFilename, chunk.contents.toString());
 
 					// Get filename (used when saving)
 					filename = collection.filename;
 
-					// Render the collection contents into a single HTML string
+					// Skip the collection if nothing has changed since the last build (custom collection renderers can't be tracked, so are always built)
+					if (typeof job.format.override.renderCollectionJson !== 'function') {
+						let key = cacheManager.createKey(job, chunk.contents.toString());
+						let output = (typeof job.format.override.saveCollection === 'function') ? null : path.join(job.output.build, 'html', `${filename}_v${job.project.version.replace(/\./g, '-')}${job.language ? `_${job.language}` : ''}.html`);
+						if (cacheManager.isFresh(job, cache, collectionFilename, key, output)) {
+							logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, collectionFilename, "Skipped HTML collection (unchanged)"));
+							if (output) {
+								manifestManager.recordOutput(job, output, true);
+							}
+							callback();
+							return;
+						}
+						chunk.cache = { name: collectionFilename, key: key };
+						cacheManager.startRecording(job);
+					}
+
+					// Render the collection contents (cover first) into a single HTML string, keeping any fragment front matter by name
 					let html = "";
+					let sources = null;
+					metadata = {};
 					if (typeof job.format.override.renderCollectionJson === 'function') {
 						html = job.format.override.renderCollectionJson(job, collection);
 					} else {
-						html = collection.contents.map((x) => {
-							let fragment = fileManager.findFile(job.project, job.format, `fragments/${job.language}/${x}.md`);
-							if (!fragment) {
-								throw new ReferenceError(`Fragment file "${job.language}/${x}.md" does not exist.`);
+						sources = [];
+						html = collectionManager.listCollectionParts(job, [...(collection.cover ? [collection.cover] : []), ...collection.contents], [collectionFilename], 0).map((x) => {
+							let markdown = x.markdown;
+							let source = null;
+							if (x.section) {
+								// Section markers are generated, so they're located by the collection file and section that declared them (not a line number)
+								source = { filename: `${job.language}/${x.section.collection} (section "${x.section.title}")`, offset: 0, generated: true };
+							} else {
+								cacheManager.recordDependency(job, `fragments/${job.language}/${x.fragment}.md`);
+								let fragment = fileManager.findFile(job.project, job.format, `fragments/${job.language}/${x.fragment}.md`);
+								if (!fragment) {
+									throw new ReferenceError(`Fragment file "${job.language}/${x.fragment}.md" does not exist.`);
+								}
+								fragment = markdownManager.parseFrontMatter(fragment);
+								metadata[x.fragment] = fragment.metadata;
+								markdown = fragment.markdown + ((footnoteManager.getPlacement(job) === "fragment") ? "\n\n\\footnotes" : "");
+								source = { filename: `${job.language}/${x.fragment}.md`, offset: fragment.offset, metadata: fragment.metadata };
 							}
-							return fragment;
-						}).filter((x) => x != null).join('\n');
+							// Track where each part starts so errors can report the original file and line
+							let previous = sources[sources.length - 1];
+							sources.push(Object.assign(source, {
+								start: previous ? previous.start + previous.lines : 1,
+								lines: markdown.split('\n').length
+							}));
+							return markdown;
+						}).join('\n');
 					}
 
-					// Render the markdown into HTML
-					html = markdownManager.renderAsHtml(job, collectionFilename, html);
+					// Render the markdown into HTML (render overrides are given the metadata of the fragment being rendered)
+					html = markdownManager.renderAsHtml(job, collectionFilename, html, {}, sources);
 
 					// Wrap the collection in HTML head/body tags
 					if (typeof job.format.override.renderHtmlCollectionWrapper === 'function') {
-						html = job.format.override.renderHtmlCollectionWrapper(job, collectionFilename, html);
+						html = job.format.override.renderHtmlCollectionWrapper(job, collectionFilename, html, metadata, collection);
 					} else {
-						html = `<html><head></head><body>${html}</body></html>`;
+						html = `<html><head>${collection.title ? `<title>${markdownManager.escapeHtml(collection.title)}</title>` : ''}</head><body>${html}</body></html>`;
 					}
 					chunk.contents = Buffer.from(html);
 					callback(null, chunk);
@@ -143,18 +220,31 @@ function buildHtmlCollections(job) {
 			.pipe(dom(function() {
 				// Apply format and project-specific HTML adjustments
 				if (typeof job.format.override.processDomCollection === 'function') {
-					job.format.override.processDomCollection(job, this, collection);
+					job.format.override.processDomCollection(job, this, collection, metadata);
 				}
 				if (typeof job.project.override.processDomCollection === 'function') {
-					job.project.override.processDomCollection(job, this, collection);
+					job.project.override.processDomCollection(job, this, collection, metadata);
 				}
 				// Run blueprint renderers (if any)
 				blueprintManager.renderBlueprints(job, this, collection);
 				// Apply translations (if any)
 				job.translator.processDom(job, this, collection);
+				// Number and place footnotes (if any)
+				footnoteManager.renderFootnotes(job, this, filename);
+				// Fill in any back-of-book index
+				indexManager.renderIndex(job, this);
+				// Fill in tables of contents (if any)
+				tocManager.renderTocs(job, this, filename);
+				// Resolve cross-references now that the whole collection is assembled
+				referenceManager.resolveReferences(job, this, filename);
+				// Strip anything that isn't whitelisted (if enabled)
+				sanitizeManager.sanitizeDom(job, this);
+				// Point asset references at fingerprinted files (if enabled)
+				assetManager.rewriteReferences(job, this);
 				return this;
 			}))
-			.pipe(beautify.html({ indent_with_tabs: true }));
+			.pipe(beautify.html({ indent_with_tabs: true }))
+			.pipe(through2.obj(_updateCache(job, cache)));
 
 		// Save the collection
 		if (typeof job.format.override.saveCollection === 'function') {
@@ -165,30 +255,31 @@ function buildHtmlCollections(job) {
 				path.extname = '.html';
 				logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, path.basename + path.extname, "Built HTML collection"));
 			}))
-			.pipe(gulp.dest(path.join(job.output.build, 'html')));
+			.pipe(manifestManager.dest(job, path.join(job.output.build, 'html')));
 		}
 		
-		stream.on('end', resolve).on('error', reject);
+		stream.on('end', () => {
+			cacheManager.saveCache(job, cache);
+			resolve();
+		}).on('error', reject);
 	});
 }
 
 /**
- * Validate a collection config file.
- * @param {Object} json - Contents of the collection config file.
- * @returns {Object} A validated json object.
- * @throws {Error} Any validation error.
+ * Create a stream transform that adds each built file to the cache (and the run's manifest), along with every file read while building it.
+ * @param {Object} job - A specific job.
+ * @param {Object} cache - The job's cache.
+ * @returns {function} A through2 transform function.
  */
- function _validateCollectionJson(json) {
-	if (typeof json.filename === 'undefined') {
-		throw new ReferenceError("Collection is missing an output name.");
-	}
-	if (!Array.isArray(json.contents)) {
-		throw new TypeError("Collection is missing a list of contents.");
-	}
-	if (json.contents.length == 0) {
-		throw new RangeError("Collection has zero listed contents.");
-	}
-	return json;
+function _updateCache(job, cache) {
+	return (chunk, enc, callback) => {
+		if (chunk.cache) {
+			let dependencies = cacheManager.stopRecording(job);
+			cacheManager.updateEntry(job, cache, chunk.cache.name, chunk.cache.key, dependencies);
+			dependencies.map((x) => fileManager.findFilePath(job.project, job.format, x)).filter((x) => x).forEach((x) => manifestManager.recordInput(job, x));
+		}
+		callback(null, chunk);
+	};
 }
 
 export { buildHtmlCollections, buildHtmlFragments };
\ No newline at end of file
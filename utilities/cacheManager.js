@@ -0,0 +1,209 @@
+/**
+ * This utility is in charge of the incremental build cache, so unchanged HTML outputs can be skipped.
+ * Each job keeps a cache file in its build folder that maps outputs to a hash of their inputs and the files they read.
+ *
+ * @module CacheManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as assetManager from './assetManager.js';
+import * as fileManager from './fileManager.js';
+import { getPackageVersion } from './configManager.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 1;
+
+const recordings = new WeakMap();
+
+/**
+ * Load the build cache for a job. Jobs with caching disabled get an empty cache.
+ * @param {Object} job - A specific job.
+ * @returns {Object} A cache ({ version, entries }).
+ */
+function loadCache(job) {
+	return (job.cache === false) ? { version: CACHE_VERSION, entries: {} } : _readCache(job);
+}
+
+/**
+ * Save the build cache for a job.
+ * @param {Object} job - A specific job.
+ * @param {Object} cache - A cache.
+ */
+function saveCache(job, cache) {
+	let cachePath = getCachePath(job);
+	fileManager.createPath(path.dirname(cachePath));
+	fs.writeFileSync(cachePath, JSON.stringify(cache, null, "\t"));
+}
+
+/**
+ * Create a cache key for an output from its own contents and everything that affects every output of the job:
+ * the MarkdownMaker version, the format (and parent format) and project settings and source files, the job's translation files, its build options (including its profile), and its asset map.
+ * @param {Object} job - A specific job.
+ * @param {string} contents - The contents of the source file (e.g. a fragment or collection file).
+ * @returns {string} A cache key.
+ */
+function createKey(job, contents) {
+	return _hash([
+		getPackageVersion(),
+		...[job.format, ...(job.format.lineage ? job.format.lineage : []), job.project].map((x) => _hash(_describeConfig(x))),
+		...fileManager.getFileVariants(job.project, job.format, `translations/${job.language}.yml`),
+		...fileManager.getFileVariants(job.project, job.format, `translations/en.yml`),
+		JSON.stringify({ strict: job.strict, fragments: job.fragments, profile: job.profile }),
+		JSON.stringify(assetManager.loadAssetMap(job)),
+		contents
+	].join("\n"));
+}
+
+/**
+ * Check if an output is unchanged since it was last built: its key must match, every file it read must be unchanged, and its output file (if known) must still exist.
+ * @param {Object} job - A specific job.
+ * @param {Object} cache - A cache.
+ * @param {string} name - The name of the output (e.g. a fragment or collection filename).
+ * @param {string} key - The output's current cache key.
+ * @param {string} [output] - The path of the built file.
+ * @returns {boolean} True if the output can be skipped.
+ */
+function isFresh(job, cache, name, key, output) {
+	let entry = cache.entries[name];
+	if (job.cache === false || !entry || entry.key !== key) {
+		return false;
+	}
+	if (output && !fs.existsSync(output)) {
+		return false;
+	}
+	return Object.entries(entry.dependencies).every(([x, hash]) => _hashFile(job, x) === hash);
+}
+
+/**
+ * Add (or replace) an output in the cache.
+ * @param {Object} job - A specific job.
+ * @param {Object} cache - A cache.
+ * @param {string} name - The name of the output.
+ * @param {string} key - The output's cache key.
+ * @param {string[]} dependencies - Every file (relative to a project/format folder) read while building the output.
+ */
+function updateEntry(job, cache, name, key, dependencies) {
+	cache.entries[name] = {
+		key: key,
+		dependencies: Object.fromEntries(dependencies.map((x) => [x, _hashFile(job, x)]))
+	};
+}
+
+/**
+ * List the outputs that read a file the last time they were built (e.g. every collection that includes a fragment).
+ * @param {Object} job - A specific job.
+ * @param {string} filepath - A file path, relative to a project/format folder (e.g. fragments/en/intro.md).
+ * @returns {string[]|null} A list of output names, or null if the job hasn't been built yet.
+ */
+function listDependents(job, filepath) {
+	let entries = Object.entries(_readCache(job).entries);
+	return (entries.length == 0) ? null : entries.filter(([, x]) => Object.prototype.hasOwnProperty.call(x.dependencies, filepath)).map(([x]) => x);
+}
+
+/**
+ * List every file read by any output the last time it was built.
+ * @param {Object} job - A specific job.
+ * @returns {string[]} A list of file paths, relative to a project/format folder.
+ */
+function listDependencies(job) {
+	return [...new Set(Object.values(_readCache(job).entries).flatMap((x) => Object.keys(x.dependencies)))];
+}
+
+/**
+ * Start recording the files read while building an output.
+ * @param {Object} job - A specific job.
+ */
+function startRecording(job) {
+	recordings.set(job, new Set());
+}
+
+/**
+ * Record a file that's been read while building an output (if recording).
+ * @param {Object} job - A specific job.
+ * @param {string} filepath - A file path, relative to a project/format folder (e.g. fragments/en/intro.md).
+ */
+function recordDependency(job, filepath) {
+	if (recordings.has(job)) {
+		recordings.get(job).add(filepath);
+	}
+}
+
+/**
+ * Stop recording and get the files read while building an output.
+ * @param {Object} job - A specific job.
+ * @returns {string[]} A list of file paths.
+ */
+function stopRecording(job) {
+	let dependencies = recordings.has(job) ? [...recordings.get(job)] : [];
+	recordings.delete(job);
+	return dependencies;
+}
+
+/**
+ * Get the path of a job's cache file.
+ * @param {Object} job - A specific job.
+ * @returns {string} A file path.
+ */
+function getCachePath(job) {
+	return path.join(job.output.build, ".cache", `${job.task}${job.fragments ? "-fragments" : ""}${job.language ? `_${job.language}` : ""}.json`);
+}
+
+/**
+ * Read a job's cache file (if any).
+ * @param {Object} job - A specific job.
+ * @returns {Object} A cache ({ version, entries }).
+ */
+function _readCache(job) {
+	let cachePath = getCachePath(job);
+	if (fs.existsSync(cachePath)) {
+		try {
+			let json = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+			if (json.version === CACHE_VERSION && json.entries) {
+				return json;
+			}
+		} catch (e) {
+			return { version: CACHE_VERSION, entries: {} };
+		}
+	}
+	return { version: CACHE_VERSION, entries: {} };
+}
+
+/**
+ * Describe a format or project for a cache key: its settings (with functions as their source code, so changes to sanitize, fingerprint, footnote,
+ * markdown, or override settings are caught) and the contents of its module file (which may hold helpers those functions call).
+ * @param {Object} config - A loaded format or project.
+ * @returns {string} A description.
+ */
+function _describeConfig(config) {
+	let file = config.src ? path.join(config.src, `${config.name}.js`) : null;
+	return [
+		JSON.stringify(config, (key, value) => (key === "lineage") ? undefined : (typeof value === 'function') ? value.toString() : value),
+		(file && fs.existsSync(file)) ? fs.readFileSync(file, 'utf8') : ""
+	].join("\n");
+}
+
+/**
+ * Hash the current contents of a file found in the project/format folders.
+ * @param {Object} job - A specific job.
+ * @param {string} filepath - A file path, relative to a project/format folder.
+ * @returns {string|null} A hash, or null if the file doesn't exist.
+ */
+function _hashFile(job, filepath) {
+	let file = fileManager.findFile(job.project, job.format, filepath);
+	return (file == null) ? null : _hash(file);
+}
+
+/**
+ * Hash a string.
+ * @param {string} text - Some text.
+ * @returns {string} A hex digest.
+ */
+function _hash(text) {
+	return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+export { createKey, getCachePath, isFresh, listDependencies, listDependents, loadCache, recordDependency, saveCache, startRecording, stopRecording, updateEntry };
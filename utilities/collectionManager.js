@@ -0,0 +1,143 @@
+/**
+ * This utility is in charge of reading, validating, and flattening collection files (.json, .yml, or .yaml).
+ *
+ * @module CollectionManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as cacheManager from './cacheManager.js';
+import * as fileManager from './fileManager.js';
+import * as logManager from './logManager.js';
+import Ajv from 'ajv';
+import fs from 'fs';
+import path from 'path';
+import url from 'url';
+import YAML from 'yaml';
+
+const EXTENSIONS = [".json", ".yml", ".yaml"];
+
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(path.dirname(url.fileURLToPath(import.meta.url)), "../schemas/collection.json"), 'utf8'));
+
+const validators = {};
+
+/**
+ * Parse and validate a collection file.
+ * Collections are validated against the MarkdownMaker collection schema, then against the format's collection schema (if any).
+ * @param {Object} job - A specific job.
+ * @param {string} filename - The collection filename (e.g. book.yml).
+ * @param {string} text - The contents of the collection file.
+ * @returns {Object} A validated collection.
+ * @throws {SyntaxError} Any parsing error.
+ * @throws {TypeError} Any validation error, listing each invalid property path.
+ */
+function parseCollection(job, filename, text) {
+	let collection = null;
+	try {
+		collection = (path.extname(filename) === ".json") ? JSON.parse(text) : YAML.parse(text);
+	} catch (e) {
+		throw new SyntaxError(`Couldn't parse collection "${job.language}/${filename}": ${e.message}`);
+	}
+	_getValidators(job).forEach((validate) => {
+		if (!validate(collection)) {
+			let errors = validate.errors.filter((x) => x.keyword !== "if").map((x) => _formatError(x));
+			throw new TypeError(`Collection "${job.language}/${filename}" is invalid: ${[...new Set(errors)].join("; ")}.`);
+		}
+	});
+	if (typeof job.format.override.validateCollectionJson === 'function') {
+		logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, "validateCollectionJson is deprecated; extend the collection schema with Format.schema.collection instead"));
+		collection = job.format.override.validateCollectionJson(collection);
+	}
+	return collection;
+}
+
+/**
+ * Find a collection file in the job's collection folders. Names without an extension match .json, .yml, or .yaml files (in that order).
+ * @param {Object} job - A specific job.
+ * @param {string} name - A collection name (e.g. part-one or part-one.yml).
+ * @returns {Object|null} The collection's filename and contents ({ filename, text }), or null if no file is found.
+ */
+function findCollection(job, name) {
+	let filenames = EXTENSIONS.includes(path.extname(name)) ? [name] : EXTENSIONS.map((x) => `${name}${x}`);
+	let collection = null;
+	filenames.some((x) => {
+		let text = fileManager.findFile(job.project, job.format, `collections/${job.language}/${x}`);
+		if (text != null) {
+			cacheManager.recordDependency(job, `collections/${job.language}/${x}`);
+			collection = { filename: x, text: text };
+			return true;
+		} else {
+			return false;
+		}
+	});
+	return collection;
+}
+
+/**
+ * Flatten a list of collection contents into fragments and section markers, resolving any referenced collections.
+ * Titled sections are wrapped in \sectionBegin/\sectionEnd blocks (with a data-depth tag), so they can be styled or overridden like any other block.
+ * @param {Object} job - A specific job.
+ * @param {Array} contents - A list of fragment names, sections ({ section, contents }), and collection references ({ collection, section }).
+ * @param {string[]} chain - The collection files being resolved (used to catch circular references).
+ * @param {number} depth - The current section depth.
+ * @returns {Object[]} A list of parts ({ fragment }, or { markdown, section } for generated section markers, where section is the { collection, title } it was declared in).
+ * @throws {ReferenceError} Any missing collection file.
+ * @throws {RangeError} Any circular collection reference.
+ */
+function listCollectionParts(job, contents, chain, depth) {
+	return contents.flatMap((x) => {
+		if (typeof x === 'string') {
+			return [{ fragment: x }];
+		}
+		let parts = [];
+		let sectionDepth = x.section ? depth + 1 : depth;
+		if (x.collection) {
+			let file = findCollection(job, x.collection);
+			if (file == null) {
+				throw new ReferenceError(`Collection file "${job.language}/${x.collection}" does not exist [${[...chain, x.collection].join(" > ")}].`);
+			}
+			if (chain.includes(file.filename)) {
+				throw new RangeError(`Collection chain is circular [${[...chain, file.filename].join(" > ")}].`);
+			}
+			parts = listCollectionParts(job, parseCollection(job, file.filename, file.text).contents, [...chain, file.filename], sectionDepth);
+		} else {
+			parts = listCollectionParts(job, x.contents, chain, sectionDepth);
+		}
+		if (x.section) {
+			let tags = { title: x.section, id: x.id, class: x.class, "data-depth": sectionDepth };
+			let section = { collection: chain[chain.length - 1], title: x.section };
+			parts = [{ markdown: `\n\\sectionBegin ${JSON.stringify(tags)}\n`, section: section }, ...parts, { markdown: `\n\\sectionEnd\n`, section: section }];
+		}
+		return parts;
+	});
+}
+
+/**
+ * Get the compiled collection schema validators for a job's format (compiled once per format).
+ * @param {Object} job - A specific job.
+ * @returns {function[]} A list of ajv validation functions.
+ */
+function _getValidators(job) {
+	if (!validators[job.format.name]) {
+		const ajv = new Ajv({ allErrors: true });
+		validators[job.format.name] = [SCHEMA, job.format.schema?.collection].filter((x) => x).map((x) => ajv.compile(x));
+	}
+	return validators[job.format.name];
+}
+
+/**
+ * Turn a schema validation error into a readable message with its property path (e.g. contents[2].section should be string).
+ * @param {Object} error - An ajv error.
+ * @returns {string} An error message.
+ */
+function _formatError(error) {
+	let property = error.dataPath.replace(/^\./, '');
+	if (error.keyword === "required") {
+		property = property ? `${property}.${error.params.missingProperty}` : error.params.missingProperty;
+		return `${property} is required`;
+	}
+	return `${property ? property : "collection"} ${error.message}`;
+}
+
+export { findCollection, listCollectionParts, parseCollection };
@@ -8,6 +8,7 @@
  */
 
 import * as mathManager from './mathManager.js';
+import os from 'os';
 import path from 'path';
 import url from 'url';
 import semver from 'semver';
@@ -24,8 +25,9 @@ async function createConfig(options) {
 	let config = {
 		title: validatedOptions.title ? validatedOptions.title : null,
 		name: "Giffyglyph's Markdown Maker",
-		version: _getPackageVersion(),
+		version: getPackageVersion(),
 		output: validatedOptions.output,
+		concurrency: validatedOptions.concurrency ? validatedOptions.concurrency : os.cpus().length,
 		warnings: []
 	};
 	await _loadFormatsIntoConfig(validatedOptions.formats, config);
@@ -33,6 +35,16 @@ async function createConfig(options) {
 	return config;
 }
 
+/**
+ * Get the MarkdownMaker package version.
+ * @returns {string} A package version.
+ */
+function getPackageVersion() {
+	const packagePath = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "../package.json");
+	const json = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+	return json.version;
+}
+
 /**
  * Load all formats and any associated modules into the config file.
  * @async
@@ -45,12 +57,6 @@ async function _loadFormatsIntoConfig(formatPaths, config) {
 			let format = _validateFormat((await import(url.pathToFileURL(path.join(process.cwd(), x)))).default, config);
 			format.name = path.basename(x, '.js');
 			format.src = format.src ? format.src : path.dirname(path.join(process.cwd(), x));
-
-			// Assign default blueprint managers
-			format.blueprint = Object.assign({
-				math: mathManager.renderBlueprint
-			}, format.blueprint);
-
 			return format;
 		} catch (e) {
 			e.message = `[Loading ${x}] ${e.message} Update the format or remove it from the configuration.`;
@@ -62,6 +68,60 @@ async function _loadFormatsIntoConfig(formatPaths, config) {
 		throw error.reason;
 	}
 	config.formats = formats.map((x) => x.value).filter((x) => x != null);
+	config.formats.forEach((format) => {
+		try {
+			_inheritFormat(format, config, [format.name]);
+		} catch (e) {
+			e.message = `[Loading ${format.name}] ${e.message} Update the format or remove it from the configuration.`;
+			throw e;
+		}
+	});
+	config.formats.forEach((format) => {
+		// Assign default blueprint managers
+		format.blueprint = Object.assign({
+			math: mathManager.renderBlueprint
+		}, format.blueprint);
+	});
+}
+
+/**
+ * Merge a format with the format it extends (if any): the parent's override, markdown, blueprint, export, footnotes, and schema settings sit beneath the format's own
+ * (so a format's collection schema replaces its parent's), and the parent's block and inline extensions are declared before the format's own.
+ * @param {Object} format - A loaded format.
+ * @param {Object} config - A MarkdownMaker config file.
+ * @param {string[]} chain - The format names being resolved (used to catch circular inheritance).
+ * @throws {ReferenceError} The parent format must be loaded.
+ * @throws {RangeError} Format inheritance can't be circular.
+ */
+function _inheritFormat(format, config, chain) {
+	if (!format.parent || format.lineage?.length > 0) {
+		return;
+	}
+	if (chain.includes(format.parent)) {
+		throw new RangeError(`Format inheritance is circular [${[...chain, format.parent].join(" > ")}].`);
+	}
+	const parent = config.formats.find((x) => x.name == format.parent);
+	if (!parent) {
+		throw new ReferenceError(`Parent format "${format.parent}" hasn't been loaded into MarkdownMaker.`);
+	}
+	_inheritFormat(parent, config, [...chain, parent.name]);
+	format.lineage = [parent, ...(parent.lineage ? parent.lineage : [])];
+	["override", "markdown", "blueprint", "export", "footnotes", "schema"].forEach((x) => {
+		format[x] = Object.assign({}, parent[x], _withoutEmptyValues(format[x]));
+	});
+	format.extensions = {
+		block: [...new Set([...(parent.extensions?.block ? parent.extensions.block : []), ...(format.extensions?.block ? format.extensions.block : [])])],
+		inline: [...new Set([...(parent.extensions?.inline ? parent.extensions.inline : []), ...(format.extensions?.inline ? format.extensions.inline : [])])]
+	};
+}
+
+/**
+ * Copy an object without any null or undefined values (i.e. settings a format hasn't set).
+ * @param {Object} [settings] - A settings object.
+ * @returns {Object} A copy of the settings.
+ */
+function _withoutEmptyValues(settings) {
+	return Object.fromEntries(Object.entries(settings ? settings : {}).filter(([, x]) => x != null));
 }
 
 /**
@@ -105,6 +165,9 @@ function _validateMarkdownMakerOptions(options) {
 	if (options.output.build == options.output.export) {
 		throw new ReferenceError("MarkdownMaker build and export directories can't be the same.");
 	}
+	if (typeof options.concurrency !== 'undefined' && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+		throw new RangeError("MarkdownMaker concurrency must be a positive integer.");
+	}
 	if (!Array.isArray(options.formats)) {
 		throw new ReferenceError("MarkdownMaker is missing a list of formats.");
 	}
@@ -177,14 +240,4 @@ function _validateProject(json, config) {
 	return json;
 }
 
-/**
- * Get the package version.
- * @returns {string} A package version.
- */
-function _getPackageVersion() {
-	const packagePath = path.join(path.dirname(url.fileURLToPath(import.meta.url)), "../package.json");
-	const json = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
-	return json.version;
-}
-
-export { createConfig };
+export { createConfig, getPackageVersion };
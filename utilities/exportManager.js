@@ -9,6 +9,7 @@
 
 import * as fileManager from './fileManager.js';
 import * as logManager from './logManager.js';
+import * as manifestManager from './manifestManager.js';
 import path from 'path';
 import puppeteer from 'puppeteer';
 import archiver from 'archiver';
@@ -34,8 +35,12 @@ async function exportPdf(job, file, options) {
 		browser = await puppeteer.launch(BROWSER);
 		logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, file, 'Opening file...'));
 		const page = await browser.newPage();
+		manifestManager.recordInput(job, path.join(job.output.build, "html", file));
 		await page.goto(`file://${path.join(process.cwd(), job.output.build, "html", file)}`, { timeout: 3000000, waitUntil: 'networkidle0' });
 		await page.emulateMedia('print');
+		if (options.selector) {
+			await _applyIndexPageNumbers(page, options.selector);
+		}
 		fileManager.createPath(path.join(job.output.export, 'pdfs'));
 		const outputPath = path.join(process.cwd(), job.output.export, 'pdfs', `${path.parse(path.basename(file)).name}.pdf`);
 		logManager.postInfo(logManager.formatTask(job.project.name, job.format.name, file, 'Rendering file...'));
@@ -44,6 +49,7 @@ async function exportPdf(job, file, options) {
 			pageRanges: options.pageRanges ? _getPrintRangeAsArray(options.pageRanges).join(',') : ""
 		});
 		await page.pdf(pdfOptions);
+		manifestManager.recordOutput(job, outputPath);
 		logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, file, 'Exported new PDF'));
 		promise = Promise.resolve();
 	} catch (err) {
@@ -71,6 +77,7 @@ async function exportPngs(job, file, options) {
 		browser = await puppeteer.launch(BROWSER);
 		logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, file, 'Opening file...'))
 		const page = await browser.newPage();
+		manifestManager.recordInput(job, path.join(job.output.build, "html", file));
 		await page.goto(`file://${path.join(process.cwd(), job.output.build, "html", file)}`, { timeout: 3000000, waitUntil: 'networkidle0' });
 		await page.emulateMedia('print');
 
@@ -103,6 +110,7 @@ async function exportPngs(job, file, options) {
 						path: outputPath,
 						type: 'png'
 					});
+					manifestManager.recordOutput(job, outputPath);
 					logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, file, `Exported page ${index + 1}`));
 				} catch (error) {
 					logManager.postError(error);
@@ -136,6 +144,7 @@ async function exportJpgs(job, file, options) {
 		browser = await puppeteer.launch(BROWSER);
 		logManager.postDebug(logManager.formatTask(job.project.name, job.format.name, file, 'Opening file...'))
 		const page = await browser.newPage();
+		manifestManager.recordInput(job, path.join(job.output.build, "html", file));
 		await page.goto(`file://${path.join(process.cwd(), job.output.build, "html", file)}`, { timeout: 3000000, waitUntil: 'networkidle0' });
 		await page.emulateMedia('print');
 
@@ -168,6 +177,7 @@ async function exportJpgs(job, file, options) {
 						path: outputPath,
 						type: 'jpeg'
 					});
+					manifestManager.recordOutput(job, outputPath);
 					logManager.postSuccess(logManager.formatTask(job.project.name, job.format.name, file, `Exported page ${index + 1}`));
 				} catch (error) {
 					logManager.postError(error);
@@ -193,30 +203,76 @@ async function exportJpgs(job, file, options) {
  * @returns {Promise} Promise that represents the success/failure state of the job.
  */
 function exportZip(job) {
-	try {
+	return new Promise((resolve, reject) => {
 		fileManager.createPath(path.join(job.output.export, 'zips'));
 		let zipName = job.project.name + "_" + (new Date().toISOString().slice(0, 19).replace(/[-:]/g, ""));
-		const output = fs.createWriteStream(path.join(process.cwd(), job.output.export, 'zips', `${zipName}.zip`));
+		const outputPath = path.join(process.cwd(), job.output.export, 'zips', `${zipName}.zip`);
+		const output = fs.createWriteStream(outputPath);
 		const archive = archiver('zip', { zlib: { level: 9 }});
+		output.on('close', function() {
+			manifestManager.recordOutput(job, outputPath);
+			resolve(`Created ${zipName}.zip`);
+		});
+		archive.on('entry', function(entry) {
+			if (entry.sourcePath) {
+				manifestManager.recordInput(job, entry.sourcePath);
+			}
+		});
 		archive.on('warning', function(err) {
 			if (err.code === 'ENOENT') {
 				logManager.postWarning(err);
 			} else {
-				throw err;
+				reject(err);
 			}
 		});
-		archive.on('error', function(err) {
-			throw err;
-		});
+		archive.on('error', reject);
 		archive.pipe(output);
 		["fonts", "scripts", "stylesheets", "vendors", "html", "images"].forEach((x) => {
 			archive.directory(path.join(process.cwd(), job.output.build, x), x);
 		});
 		archive.finalize();
-		return Promise.resolve(`Created ${zipName}.zip`);
-	} catch (e) {
-		return Promise.reject(e);
-	}
+	});
+}
+
+/**
+ * Replace the occurrence links in any back-of-book index with the numbers of the pages their anchors landed on.
+ * Pages are measured the same way as PNG/JPG exports; duplicate page numbers for an entry are merged.
+ * @async
+ * @param {Object} page - A puppeteer page.
+ * @param {string} selector - A selector for the page elements.
+ * @returns {Promise} Promise that represents the success/failure state of the update.
+ */
+function _applyIndexPageNumbers(page, selector) {
+	return page.$$eval(selector, (elements) => {
+		if (elements.length == 0) {
+			return;
+		}
+		const document = elements[0].ownerDocument;
+		const scrollY = document.defaultView.scrollY;
+		// Pages and anchors are both measured in document coordinates, so positioned wrappers don't shift one against the other
+		const pages = elements.map((element) => {
+			const bounds = element.getBoundingClientRect();
+			return {
+				top: bounds.top + scrollY,
+				bottom: bounds.bottom + scrollY
+			};
+		});
+		const parents = new Set([...document.querySelectorAll("a[data-index-ref]")].map((x) => x.parentElement));
+		parents.forEach((parent) => {
+			const numbers = new Map();
+			parent.querySelectorAll("a[data-index-ref]").forEach((link) => {
+				const anchor = document.getElementById(link.getAttribute("href").slice(1));
+				if (anchor) {
+					const top = anchor.getBoundingClientRect().top + scrollY;
+					const number = pages.findIndex((x) => top >= x.top && top < x.bottom) + 1;
+					if (number > 0 && !numbers.has(number)) {
+						numbers.set(number, link.getAttribute("href"));
+					}
+				}
+			});
+			parent.innerHTML = [...numbers.entries()].sort((x, y) => x[0] - y[0]).map(([x, y]) => `<a href="${y}" data-index-ref>${x}</a>`).join(", ");
+		});
+	});
 }
 
 /**
@@ -22,65 +22,127 @@ import glob from 'glob';
  * @returns {Object} A gulp stream of source files.
  */
 function getSrc(project, format, folder, files, filter) {
-	return gulp.src(
-		path.join(format.src, `${folder}/**/${filter ? filter : ''}${files}`),
-		{ base: path.join(format.src, `${folder}`) }
-	).pipe(
-		gulp.src(
-			[
+	return getSrcLayers(project, format, folder, files, filter).reduce((stream, x) => {
+		return stream ? stream.pipe(gulp.src(x.globs, { base: x.base })) : gulp.src(x.globs, { base: x.base });
+	}, null);
+}
+
+/**
+ * Get the source layers read by getSrc, from lowest to highest precedence: parent formats (if any), format, project, project+parent formats, then project+format.
+ * @param {Object} project - A project.
+ * @param {Object} format - A format.
+ * @param {string} folder - A folder name.
+ * @param {string} files - A file or filenames.
+ * @param {string} filter - Any additional filters.
+ * @returns {Object[]} A list of layers ({ base, globs }); globs starting with "!" are excluded.
+ */
+function getSrcLayers(project, format, folder, files, filter) {
+	return [
+		..._listFormatSrcs(format).reverse().map((x) => ({
+			base: path.join(x, `${folder}`),
+			globs: [path.join(x, `${folder}/**/${filter ? filter : ''}${files}`)]
+		})),
+		{
+			base: path.join(project.src, `${folder}`),
+			globs: [
 				path.join(project.src, `${folder}/**/${filter ? filter : ''}${files}`),
 				`!${path.join(project.src, `${folder}/_*/**/${filter ? filter : ''}${files}`)}`
-			],
-			{ base: path.join(project.src, `${folder}`) }
-		)
-	).pipe(
-		gulp.src(
-			path.join(project.src, `formats/${format.name}/${folder}/**/${filter ? filter : ''}${files}`),
-			{ base: path.join(project.src, `formats/${format.name}/${folder}`) }
-		)
-	);
+			]
+		},
+		..._listProjectFormatSrcs(project, format).reverse().map((x) => ({
+			base: path.join(x, `${folder}`),
+			globs: [path.join(x, `${folder}/**/${filter ? filter : ''}${files}`)]
+		}))
+	];
+}
+
+/**
+ * List the files matched by a set of source layers. Files in higher layers replace files with the same relative path in lower layers.
+ * @param {Object[]} layers - A list of layers (see getSrcLayers).
+ * @returns {Object[]} A list of files ({ path, relative }), sorted by relative path.
+ */
+function listSrcFiles(layers) {
+	let files = new Map();
+	layers.forEach((layer) => {
+		let ignore = layer.globs.filter((x) => x.startsWith("!")).map((x) => x.slice(1));
+		layer.globs.filter((x) => !x.startsWith("!")).forEach((x) => {
+			glob.sync(x, { ignore: ignore, nodir: true }).forEach((y) => {
+				let relative = path.relative(layer.base, y);
+				files.set(relative, { path: y, relative: relative });
+			});
+		});
+	});
+	return [...files.values()].sort((x, y) => x.relative.localeCompare(y.relative));
 }
 
 /**
- * Find a file in one of three cascading folders: project+format, project, then format.
+ * Find a file in one of the cascading folders: project+format, project+parent formats, project, format, then any parent formats.
  * @param {Object} project - Project config details.
  * @param {Object} format - Format config details.
  * @param {string} filepath - A target file to find.
  * @returns {string|null} Returns either a file or null if no file is found.
  */
 function findFile(project, format, filepath) {
-	const paths = [
-		path.join(project.src, "formats", format.name, filepath),
+	const file = findFilePath(project, format, filepath);
+	return file ? fs.readFileSync(file, 'utf8') : null;
+}
+
+/**
+ * Find the path of a file in one of the cascading folders: project+format, project+parent formats, project, format, then any parent formats.
+ * @param {Object} project - Project config details.
+ * @param {Object} format - Format config details.
+ * @param {string} filepath - A target file to find.
+ * @returns {string|null} Returns either a file path or null if no file is found.
+ */
+function findFilePath(project, format, filepath) {
+	return getLayerPaths(project, format, filepath).find((x) => fs.existsSync(x)) || null;
+}
+
+/**
+ * Get a path in each of the cascading folders, from highest to lowest precedence: project+format, project+parent formats, project, format, then any parent formats.
+ * @param {Object} project - Project config details.
+ * @param {Object} format - Format config details.
+ * @param {string} filepath - A file or folder path (e.g. stylesheets).
+ * @returns {string[]} A list of paths (which may not exist).
+ */
+function getLayerPaths(project, format, filepath) {
+	return [
+		..._listProjectFormatSrcs(project, format).map((x) => path.join(x, filepath)),
 		path.join(project.src, filepath),
-		path.join(format.src, filepath)
+		..._listFormatSrcs(format).map((x) => path.join(x, filepath))
 	];
-	let file = null;
-	paths.some((path) => {
-		if (fs.existsSync(path)) {
-			file = fs.readFileSync(path, 'utf8');
-			return true;
-		} else {
-			return false;
-		}
-	});
-	return file;
 }
 
 /**
- * Get all file variants in three cascading folders: project+format, project, and format.
+ * Get the source folder and files that a build job reads (e.g. stylesheets and *.scss).
+ * @param {Object} job - A build job.
+ * @returns {Object} The job's sources ({ folder, files }).
+ */
+function getSources(job) {
+	const files = {
+		fonts: '*.*',
+		html: job.fragments ? '*.md' : '*.+(json|yml|yaml)',
+		images: '*.+(jpg|jpeg|gif|png|svg)',
+		scripts: '*.js',
+		stylesheets: '*.scss',
+		vendors: '*.*'
+	};
+	return {
+		folder: (job.task === "html") ? `${job.fragments ? "fragments" : "collections"}/${job.language}` : job.task,
+		files: job.files ? `@(${job.files.join('|')})` : files[job.task]
+	};
+}
+
+/**
+ * Get all file variants in the cascading folders: project+format, project+parent formats, project, format, and any parent formats.
  * @param {Object} project - Project config details.
  * @param {Object} format - Format config details.
  * @param {string} filepath - A target file to find.
  * @returns {string[]} Returns a list of files.
  */
  function getFileVariants(project, format, filepath) {
-	const paths = [
-		path.join(project.src, "formats", format.name, filepath),
-		path.join(project.src, filepath),
-		path.join(format.src, filepath)
-	];
 	let files = [];
-	paths.forEach((path) => {
+	getLayerPaths(project, format, filepath).forEach((path) => {
 		if (fs.existsSync(path)) {
 			files.push(fs.readFileSync(path, 'utf8'));
 		}
@@ -107,4 +169,23 @@ function createPath(path) {
 	}
 }
 
-export { getSrc, findFile, listFilenames, createPath, getFileVariants };
+/**
+ * List a project's folder for a format, followed by its folders for any formats the format extends (nearest first), e.g. formats/child then formats/base.
+ * @param {Object} project - Project config details.
+ * @param {Object} format - Format config details.
+ * @returns {string[]} A list of folder paths.
+ */
+function _listProjectFormatSrcs(project, format) {
+	return [format.name, ...(format.lineage ? format.lineage.map((x) => x.name) : [])].map((x) => path.join(project.src, "formats", x));
+}
+
+/**
+ * List a format's source folder, followed by the source folders of any formats it extends (nearest first).
+ * @param {Object} format - Format config details.
+ * @returns {string[]} A list of folder paths.
+ */
+function _listFormatSrcs(format) {
+	return [format.src, ...(format.lineage ? format.lineage.map((x) => x.src) : [])];
+}
+
+export { getSrc, getSrcLayers, listSrcFiles, findFile, findFilePath, getLayerPaths, getSources, listFilenames, createPath, getFileVariants };
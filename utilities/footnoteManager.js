@@ -0,0 +1,101 @@
+/**
+ * This utility is in charge of numbering footnotes and moving them into place once a fragment or collection has been rendered.
+ *
+ * @module FootnoteManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as logManager from './logManager.js';
+
+const PLACEMENTS = ["page", "fragment", "collection"];
+
+/**
+ * Get the footnote placement for a job. Projects can override the format's placement.
+ * @param {Object} job - A specific job.
+ * @returns {string} One of "page" (end of the enclosing \page block), "fragment" (end of each fragment), or "collection" (endnotes).
+ * @throws {RangeError} Any unknown placement.
+ */
+function getPlacement(job) {
+	const placement = job.project.footnotes?.placement || job.format.footnotes?.placement || "fragment";
+	if (!PLACEMENTS.includes(placement)) {
+		throw new RangeError(`Footnote placement must be one of [${PLACEMENTS.join(", ")}].`);
+	}
+	return placement;
+}
+
+/**
+ * Number all footnote references in document order and move each footnote into its container.
+ * A reference uses the first footnote with its label that follows it (or, failing that, the last one before it), so labels can be reused across fragments.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @param {string} filename - The name of the file being built (used when warning about missing footnotes).
+ * @returns {Object} An updated dom.
+ */
+function renderFootnotes(job, dom, filename) {
+	const placement = getPlacement(job);
+	const footnotes = [...dom.querySelectorAll("[data-footnote]")];
+	const numbers = new Map();
+	dom.querySelectorAll("[data-footnote-ref]").forEach((x) => {
+		const candidates = footnotes.filter((y) => y.dataset.footnote === x.dataset.footnoteRef);
+		const footnote = candidates.find((y) => x.compareDocumentPosition(y) & 4) || candidates[candidates.length - 1];
+		if (!footnote) {
+			x.textContent = "?";
+			logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, `Footnote "${x.dataset.footnoteRef}" has no matching definition`));
+			return;
+		}
+		if (!numbers.has(footnote)) {
+			const number = numbers.size + 1;
+			numbers.set(footnote, number);
+			footnote.id = `fn-${number}`;
+			footnote.dataset.footnoteNumber = number;
+			footnote.insertAdjacentHTML("afterbegin", `<a class="footnote__number" href="#fnref-${number}">${number}</a>`);
+			_getContainer(dom, x, placement).appendChild(footnote);
+			x.id = `fnref-${number}`;
+		}
+		x.innerHTML = `<a href="#fn-${numbers.get(footnote)}">${numbers.get(footnote)}</a>`;
+	});
+	footnotes.filter((x) => !numbers.has(x)).forEach((x) => {
+		logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, `Footnote "${x.dataset.footnote}" is never referenced`));
+		x.remove();
+	});
+	dom.querySelectorAll("[data-footnotes]").forEach((x) => {
+		if (x.children.length == 0) {
+			x.remove();
+		} else {
+			x.removeAttribute("data-footnotes");
+		}
+	});
+	return dom;
+}
+
+/**
+ * Find (or create) the footnotes container for a reference.
+ * Page placement uses the end of the enclosing page; other placements use the next \footnotes placeholder or the end of the document.
+ * @param {Object} dom - The dom element.
+ * @param {Object} reference - A footnote reference element.
+ * @param {string} placement - The footnote placement.
+ * @returns {Object} A footnotes container element.
+ */
+function _getContainer(dom, reference, placement) {
+	let container = null;
+	const page = (placement === "page") ? reference.closest(".page") : null;
+	if (page) {
+		const body = page.querySelector(".page__body") || page;
+		container = [...body.children].find((x) => x.matches("[data-footnotes]"));
+		if (!container) {
+			body.insertAdjacentHTML("beforeend", `<div class="footnotes" data-footnotes></div>`);
+			container = body.lastElementChild;
+		}
+	} else {
+		container = [...dom.querySelectorAll("[data-footnotes]")].find((x) => reference.compareDocumentPosition(x) & 4);
+		if (!container) {
+			dom.body.insertAdjacentHTML("beforeend", `<div class="footnotes" data-footnotes></div>`);
+			container = dom.body.lastElementChild;
+		}
+	}
+	return container;
+}
+
+export { getPlacement, renderFootnotes };
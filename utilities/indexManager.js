@@ -0,0 +1,86 @@
+/**
+ * This utility is in charge of building a back-of-book index (\printIndex) from tagged terms (\index{term!subterm}).
+ *
+ * @module IndexManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import { escapeHtml } from './markdownManager.js';
+
+/**
+ * Check the DOM for any index placeholders and fill them in with every tagged term, sorted and linked to each occurrence.
+ * Links (a[data-index-ref], grouped in their own parent element) are numbered by occurrence; PDF exports with a page selector replace these with page numbers. If the format module contains a renderIndex function, use that for the markup instead.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @returns {Object} An updated dom.
+ */
+function renderIndex(job, dom) {
+	const placeholders = dom.querySelectorAll("[data-index-options]");
+	if (placeholders.length > 0) {
+		const entries = _listEntries(job, dom);
+		placeholders.forEach((x) => {
+			const options = JSON.parse(x.dataset.indexOptions);
+			if (typeof job.format.override.renderIndex === 'function') {
+				x.innerHTML = job.format.override.renderIndex(job, entries, options);
+			} else {
+				x.innerHTML = `
+					${options.title ? `<div class="book-index__title">${escapeHtml(options.title)}</div>` : ''}
+					${_renderEntries(entries)}
+				`;
+			}
+			x.removeAttribute("data-index-options");
+		});
+	}
+	return dom;
+}
+
+/**
+ * Give every index term an anchor and group them into sorted entries.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element.
+ * @returns {Object[]} A sorted list of entries ({ term, anchors, subentries }).
+ */
+function _listEntries(job, dom) {
+	const entries = new Map();
+	dom.querySelectorAll("[data-index-term]").forEach((x, i) => {
+		x.id = x.id ? x.id : `index-${i + 1}`;
+		const term = x.dataset.indexTerm;
+		if (!entries.has(term)) {
+			entries.set(term, { term: term, anchors: [], subentries: new Map() });
+		}
+		const entry = entries.get(term);
+		if (x.dataset.indexSubterm) {
+			if (!entry.subentries.has(x.dataset.indexSubterm)) {
+				entry.subentries.set(x.dataset.indexSubterm, { term: x.dataset.indexSubterm, anchors: [], subentries: [] });
+			}
+			entry.subentries.get(x.dataset.indexSubterm).anchors.push(x.id);
+		} else {
+			entry.anchors.push(x.id);
+		}
+	});
+	const sort = (x, y) => x.term.localeCompare(y.term, job.language, { sensitivity: 'base' });
+	return [...entries.values()].map((x) => Object.assign(x, { subentries: [...x.subentries.values()].sort(sort) })).sort(sort);
+}
+
+/**
+ * Render a list of index entries as HTML.
+ * @param {Object[]} entries - A list of entries.
+ * @returns {string} HTML string.
+ */
+function _renderEntries(entries) {
+	return `
+		<ul class="book-index__list">
+			${entries.map((x) => `
+				<li class="book-index__entry">
+					<span class="book-index__term">${escapeHtml(x.term)}</span>
+					<span class="book-index__refs">${x.anchors.map((y, i) => `<a href="#${escapeHtml(y)}" data-index-ref>${i + 1}</a>`).join(", ")}</span>
+					${x.subentries.length > 0 ? _renderEntries(x.subentries) : ''}
+				</li>
+			`).join("")}
+		</ul>
+	`;
+}
+
+export { renderIndex };
@@ -31,10 +31,13 @@ function getBuildJobs(config, args) {
 					languages.forEach((language) => {
 						let translator = createTranslator(project, format, language);
 						jobs.push(_createJob(config, project, format, {
+							cache: args.cache,
 							debug: args.debug,
 							language: language,
 							files: args.files,
 							fragments: args.fragments,
+							profile: args.profile ? args.profile : project.profile,
+							strict: args.strict,
 							task: task,
 							translator: translator
 						}));
@@ -65,6 +68,20 @@ function getCleanJobs(config, args) {
 	});
 }
 
+/**
+ * Get a list of verify jobs to perform.
+ * @param {Object} config - The MarkdownMaker configuration file.
+ * @param {Object} args - A collection of job arguments (projects, formats, files, etc).
+ * @returns {Object[]} A list of jobs.
+ */
+function getVerifyJobs(config, args) {
+	return _createJobs(config, args, function(config, args, jobs, project, format) {
+		jobs.push(_createJob(config, project, format, {
+			debug: args.debug
+		}));
+	});
+}
+
 /**
  * Get a list of export jobs to perform.
  * @param {Object} config - The MarkdownMaker configuration file.
@@ -135,4 +152,4 @@ function _createJob(config, project, format, options) {
 	return Object.assign(job, options);
 }
 
-export { getBuildJobs, getCleanJobs, getExportJobs };
\ No newline at end of file
+export { getBuildJobs, getCleanJobs, getExportJobs, getVerifyJobs };
\ No newline at end of file
@@ -12,6 +12,7 @@ import consola from 'consola';
 import chalk from 'chalk';
 
 let isDiscrete = false;
+let warnings = null;
 
 /**
  * Clear the console screen.
@@ -34,6 +35,9 @@ function postLog(message) {
  */
 function postWarning(message) {
 	consola.warn(message);
+	if (warnings) {
+		warnings.push(message);
+	}
 }
 
 /**
@@ -84,6 +88,23 @@ function setLoggingLevel(level) {
 	consola.level = level;
 }
 
+/**
+ * Start keeping a copy of every warning posted (e.g. for a build manifest).
+ */
+function startRecordingWarnings() {
+	warnings = [];
+}
+
+/**
+ * Stop keeping warnings and get every warning posted since recording started.
+ * @returns {Array} A list of warning messages.
+ */
+function stopRecordingWarnings() {
+	let recorded = warnings ? warnings : [];
+	warnings = null;
+	return recorded;
+}
+
 /**
  * Post an empty line.
  */
@@ -155,4 +176,4 @@ function formatBg(text, color) {
 	}
 }
 
-export { clearScreen, postLog, postWarning, postInfo, postDebug, postError, postFatal, postSuccess, setLoggingLevel, postEmptyLine, setIsDiscrete, formatBg, formatTask };
+export { clearScreen, postLog, postWarning, postInfo, postDebug, postError, postFatal, postSuccess, setLoggingLevel, postEmptyLine, setIsDiscrete, formatBg, formatTask, startRecordingWarnings, stopRecordingWarnings };
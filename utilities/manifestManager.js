@@ -0,0 +1,207 @@
+/**
+ * This utility is in charge of recording what each program run did (jobs, inputs, outputs, and warnings) as a machine-readable manifest.
+ *
+ * @module ManifestManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as fileManager from './fileManager.js';
+import * as logManager from './logManager.js';
+import { getPackageVersion } from './configManager.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import gulp from 'gulp';
+import path from 'path';
+import through2 from 'through2';
+
+const records = new WeakMap();
+
+/**
+ * Create a manifest for a program run, and start recording any warnings.
+ * @param {string} command - The program name (e.g. build, export, or clean).
+ * @param {Object[]} jobs - The jobs the program will run.
+ * @returns {Object} A manifest.
+ */
+function createManifest(command, jobs) {
+	logManager.startRecordingWarnings();
+	return {
+		command: command,
+		version: getPackageVersion(),
+		status: "running",
+		started: new Date().toISOString(),
+		duration: null,
+		jobs: jobs.map((job) => {
+			let record = {
+				project: job.project.name,
+				format: job.format.name,
+				task: job.task,
+				export: job.export,
+				language: job.language,
+				status: "pending",
+				started: null,
+				duration: null,
+				inputs: new Set(),
+				outputs: new Map(),
+				deleted: [],
+				error: null
+			};
+			records.set(job, record);
+			return record;
+		}),
+		warnings: []
+	};
+}
+
+/**
+ * Finish a manifest: stop recording warnings, and measure the size and hash of every output.
+ * @param {Object} manifest - A manifest.
+ * @param {Error[]} [errors] - Any errors that caused the program to fail.
+ * @returns {Object} The finished manifest.
+ */
+function finishManifest(manifest, errors) {
+	manifest.status = (errors && errors.length > 0) ? "failed" : "success";
+	manifest.duration = Date.now() - Date.parse(manifest.started);
+	manifest.warnings = logManager.stopRecordingWarnings().map((x) => _toText(x));
+	manifest.jobs.forEach((x) => {
+		if (x.status === "running" || x.status === "pending") {
+			x.status = (manifest.status === "failed") ? "unknown" : "success";
+		}
+		x.inputs = [...x.inputs].map((y) => path.relative(process.cwd(), y)).sort();
+		x.outputs = [...x.outputs.entries()].map(([y, cached]) => _describeOutput(y, cached)).filter((y) => y != null);
+	});
+	return manifest;
+}
+
+/**
+ * Save a manifest as manifest.{command}.json.
+ * @param {string} folder - The folder to save the manifest in.
+ * @param {Object} manifest - A finished manifest.
+ * @returns {string} The path of the saved manifest.
+ */
+function saveManifest(folder, manifest) {
+	fileManager.createPath(folder);
+	let manifestPath = getManifestPath(folder, manifest.command);
+	fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, "\t"));
+	return manifestPath;
+}
+
+/**
+ * Get the path a program's manifest is saved to.
+ * @param {string} folder - The folder to save the manifest in.
+ * @param {string} command - The program name.
+ * @returns {string} A file path.
+ */
+function getManifestPath(folder, command) {
+	return path.join(folder, `manifest.${command}.json`);
+}
+
+/**
+ * Mark a job as started (if it's part of a manifest).
+ * @param {Object} job - A job.
+ */
+function startJob(job) {
+	let record = records.get(job);
+	if (record) {
+		record.status = "running";
+		record.started = new Date().toISOString();
+	}
+}
+
+/**
+ * Mark a job as finished (if it's part of a manifest).
+ * @param {Object} job - A job.
+ * @param {Error} [error] - The error that caused the job to fail (if any).
+ */
+function finishJob(job, error) {
+	let record = records.get(job);
+	if (record) {
+		record.status = error ? "failed" : "success";
+		record.duration = record.started ? Date.now() - Date.parse(record.started) : null;
+		record.error = error ? _toText(error) : null;
+	}
+}
+
+/**
+ * Record a file that a job has read.
+ * @param {Object} job - A job.
+ * @param {string} filepath - A file path.
+ */
+function recordInput(job, filepath) {
+	records.get(job)?.inputs.add(path.resolve(filepath));
+}
+
+/**
+ * Record a file that a job has written (or left unchanged because it was cached).
+ * @param {Object} job - A job.
+ * @param {string} filepath - A file path.
+ * @param {boolean} [cached] - True if the file was skipped because it's unchanged.
+ */
+function recordOutput(job, filepath, cached) {
+	records.get(job)?.outputs.set(path.resolve(filepath), cached === true);
+}
+
+/**
+ * Record the files and folders that a job has deleted.
+ * @param {Object} job - A job.
+ * @param {string[]} filepaths - A list of deleted paths.
+ */
+function recordDeleted(job, filepaths) {
+	records.get(job)?.deleted.push(...filepaths.map((x) => path.relative(process.cwd(), x)));
+}
+
+/**
+ * Create a stream transform that records every file passing through as an input.
+ * @param {Object} job - A job.
+ * @returns {Object} A through2 stream.
+ */
+function recordInputs(job) {
+	return through2.obj((chunk, enc, callback) => {
+		recordInput(job, chunk.path);
+		callback(null, chunk);
+	});
+}
+
+/**
+ * Create a gulp.dest stream that records every file written as an output.
+ * @param {Object} job - A job.
+ * @param {string} folder - The destination folder.
+ * @returns {Object} A gulp.dest stream.
+ */
+function dest(job, folder) {
+	return gulp.dest(folder).on('data', (x) => recordOutput(job, x.path));
+}
+
+/**
+ * Describe an output file by its path, size, and content hash.
+ * @param {string} filepath - A file path.
+ * @param {boolean} cached - True if the file was skipped because it's unchanged.
+ * @returns {Object|null} An output description, or null if the file doesn't exist.
+ */
+function _describeOutput(filepath, cached) {
+	if (!fs.existsSync(filepath)) {
+		return null;
+	}
+	return {
+		path: path.relative(process.cwd(), filepath),
+		size: fs.statSync(filepath).size,
+		sha256: crypto.createHash('sha256').update(fs.readFileSync(filepath)).digest('hex'),
+		cached: cached
+	};
+}
+
+/**
+ * Turn a logged message or error into plain text (without any console colors).
+ * @param {*} message - A message, error, or list of errors.
+ * @returns {string} Plain text.
+ */
+function _toText(message) {
+	if (Array.isArray(message)) {
+		return message.map((x) => _toText(x)).join("\n");
+	}
+	let text = (message && message.message) ? message.message : String(message);
+	return text.replace(new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, "g"), "");
+}
+
+export { createManifest, dest, finishJob, finishManifest, getManifestPath, recordDeleted, recordInput, recordInputs, recordOutput, saveManifest, startJob };
@@ -7,8 +7,12 @@
  * @license GPL-3.0-or-later
  */
 
+import * as cacheManager from './cacheManager.js';
+import * as fileManager from './fileManager.js';
 import * as logManager from './logManager.js';
 import marked from 'marked';
+import semver from 'semver';
+import YAML from 'yaml';
 
 const extensions = [
 	{
@@ -27,10 +31,12 @@ const extensions = [
 		},
 		renderer(token) {
 			let options = this.parser.options;
+			let html = `<colbreak></colbreak>`;
 			if (typeof options.renderOverrides?.colbreak === 'function') {
-				return options.renderOverrides.colbreak(options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens));
+				// Column breaks have no content, so overrides are given the default markup
+				return options.renderOverrides.colbreak(options.renderJob, options.renderFilename, token, html, token.metadata);
 			} else {
-				return `<colbreak></colbreak>`;
+				return html;
 			}
 		}
 	},
@@ -52,19 +58,81 @@ const extensions = [
 	_createBlockExtension("examples"),
 	_createBlockExtension("region"),
 	_createBlockExtension("regions"),
+	_createBlockExtension("section"),
+	_createBlockExtension("figure", function(token) {
+		let id = token.tags?.id ? `id="${escapeHtml(token.tags.id)}"` : '';
+		let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
+		let tags = token.tags && token.tags["_data"] ? token.tags["_data"] : '';
+		return `
+			<figure ${id} class="figure ${css}" ${tags}>
+				${this.parser.parse(token.tokens)}
+				${token.tags?.caption ? `<figcaption>${escapeHtml(token.tags.caption)}</figcaption>` : ''}
+			</figure>
+		`;
+	}),
+	_createBlockExtension("figures"),
 	{
-		name: 'figure',
+		name: 'ref',
+		level: 'inline',
+		tagged: true,
+		start(src) { return src.match(/\\ref{/)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\\ref{([^}]+)}({.*?})?/);
+			if (match) {
+				const token = {
+					type: 'ref',
+					raw: match[0],
+					id: match[1].trim(),
+					tags: match[2] ? _parseTags(match[2], this.lexer.options) : {}
+				};
+				return token;
+			}
+		},
+		renderer(token) {
+			let options = this.parser.options;
+			if (typeof options.renderOverrides?.ref === 'function') {
+				return options.renderOverrides.ref(options.renderJob, options.renderFilename, token, token.id, token.metadata);
+			} else {
+				let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
+				let text = token.tags?.text ? `data-ref-text="true"` : '';
+				return `<a href="#${escapeHtml(token.id)}" class="ref ${css}" data-ref="${escapeHtml(token.id)}" ${text}>${escapeHtml(token.tags?.text ? token.tags.text : token.id)}</a>`;
+			}
+		}
+	},
+	{
+		name: 'toc',
 		level: 'block',
-		start(src) { return src.match(/^\\figureBegin/)?.index; },
+		start(src) { return src.match(/^\\toc/m)?.index; },
 		tokenizer(src) {
-			const match = src.match(/^\\figureBegin *({.*?})?[\n$](.*?)\n\\figureEnd.*?[\n$]?/s);
+			const match = src.match(/^\\toc *({.*?})? *(?:\n|$)/);
 			if (match) {
-				const tags = match[1] ? _parseTags(match[1]) : {};
 				const token = {
-					type: 'figure',
+					type: 'toc',
 					raw: match[0],
-					text: match[2]?.trim(),
-					tags: tags,
+					tags: match[1] ? _parseTags(match[1], this.lexer.options) : {}
+				};
+				return token;
+			}
+		},
+		renderer(token) {
+			let id = token.tags?.id ? `id="${escapeHtml(token.tags.id)}"` : '';
+			let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
+			let options = JSON.stringify({ depth: token.tags?.depth ? token.tags.depth : 3, title: token.tags?.title ? token.tags.title : null });
+			return `<nav ${id} class="toc ${css}" data-toc-options="${escapeHtml(options)}"></nav>`;
+		}
+	},
+	{
+		name: 'footnote',
+		level: 'block',
+		start(src) { return src.match(/^\[\^[^\]\s]+\]:/m)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\[\^([^\]\s]+)\]: *(.*(?:\n(?: {2,}|\t).*)*)(?:\n|$)/);
+			if (match) {
+				const token = {
+					type: 'footnote',
+					raw: match[0],
+					label: match[1],
+					text: match[2].replace(/^(?: {2,}|\t)/gm, '').trim(),
 					tokens: []
 				};
 				this.lexer.blockTokens(token.text, token.tokens);
@@ -73,39 +141,218 @@ const extensions = [
 		},
 		renderer(token) {
 			let options = this.parser.options;
-			if (typeof options.renderOverrides?.figure === 'function') {
-				return options.renderOverrides.figure(options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens));
+			if (typeof options.renderOverrides?.footnote === 'function') {
+				return options.renderOverrides.footnote(options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens), token.metadata);
 			} else {
-				let id = token.tags?.id ? `id="${token.tags.id}"` : '';
-				let css = token.tags?.class ? token.tags.class : '';
-				let tags = token.tags && token.tags["_data"] ? token.tags["_data"] : '';
-				return `
-					<figure ${id} class="figure ${css}" ${tags}>
-						${this.parser.parse(token.tokens)}
-						${token.tags?.caption ? `<figcaption>${token.tags.caption}</figcaption>` : ''}
-					</figure>
-				`;
+				return `<div class="footnote" data-footnote="${escapeHtml(token.label)}">${this.parser.parse(token.tokens)}</div>`;
+			}
+		}
+	},
+	{
+		name: 'footnoteRef',
+		level: 'inline',
+		start(src) { return src.match(/\[\^/)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\[\^([^\]\s]+)\]/);
+			if (match) {
+				const token = {
+					type: 'footnoteRef',
+					raw: match[0],
+					label: match[1]
+				};
+				return token;
 			}
+		},
+		renderer(token) {
+			return `<sup class="footnote-ref" data-footnote-ref="${escapeHtml(token.label)}"></sup>`;
 		}
 	},
-	_createBlockExtension("figures")
+	{
+		name: 'footnotes',
+		level: 'block',
+		start(src) { return src.match(/^\\footnotes/m)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\\footnotes *(?:\n|$)/);
+			if (match) {
+				const token = {
+					type: 'footnotes',
+					raw: match[0]
+				};
+				return token;
+			}
+		},
+		renderer() {
+			return `<div class="footnotes" data-footnotes></div>`;
+		}
+	},
+	{
+		name: 'index',
+		level: 'inline',
+		start(src) { return src.match(/\\index{/)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\\index{([^}]+)}/);
+			if (match) {
+				const terms = match[1].split("!").map((x) => x.trim());
+				const token = {
+					type: 'index',
+					raw: match[0],
+					term: terms[0],
+					subterm: terms[1] ? terms[1] : null
+				};
+				return token;
+			}
+		},
+		renderer(token) {
+			let subterm = token.subterm ? `data-index-subterm="${escapeHtml(token.subterm)}"` : '';
+			return `<span class="index-term" data-index-term="${escapeHtml(token.term)}" ${subterm}></span>`;
+		}
+	},
+	{
+		name: 'printIndex',
+		level: 'block',
+		start(src) { return src.match(/^\\printIndex/m)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\\printIndex *({.*?})? *(?:\n|$)/);
+			if (match) {
+				const token = {
+					type: 'printIndex',
+					raw: match[0],
+					tags: match[1] ? _parseTags(match[1], this.lexer.options) : {}
+				};
+				return token;
+			}
+		},
+		renderer(token) {
+			let id = token.tags?.id ? `id="${escapeHtml(token.tags.id)}"` : '';
+			let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
+			let options = JSON.stringify({ title: token.tags?.title ? token.tags.title : null });
+			return `<div ${id} class="book-index ${css}" data-index-options="${escapeHtml(options)}"></div>`;
+		}
+	},
+	{
+		name: 'include',
+		level: 'block',
+		start(src) { return src.match(/^\\include/m)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^\\include *({.*?}) *(?:\n|$)/);
+			if (match) {
+				const tags = _parseTags(match[1], this.lexer.options);
+				const token = {
+					type: 'include',
+					raw: match[0],
+					src: tags.src,
+					tags: tags,
+					tokens: []
+				};
+				let options = this.lexer.options;
+				let chain = options.renderIncludes ? options.renderIncludes : [];
+				if (!token.src) {
+					throw new ReferenceError(`Include is missing a src file [${chain.join(" > ")}].`);
+				}
+				if (chain.includes(token.src)) {
+					throw new RangeError(`Include chain is circular [${[...chain, token.src].join(" > ")}].`);
+				}
+				cacheManager.recordDependency(options.renderJob, `fragments/${options.renderJob.language}/${token.src}`);
+				let file = fileManager.findFile(options.renderJob.project, options.renderJob.format, `fragments/${options.renderJob.language}/${token.src}`);
+				if (file == null) {
+					throw new ReferenceError(`Include file "${options.renderJob.language}/${token.src}" does not exist [${[...chain, token.src].join(" > ")}].`);
+				}
+				let fragment = parseFrontMatter(file);
+				let sources = [{ filename: `${options.renderJob.language}/${token.src}`, start: 1, offset: fragment.offset }];
+				fragment.markdown = _applyConditions(options.renderJob, fragment.markdown, sources);
+				if (options.renderJob.strict) {
+					_validateTags(fragment.markdown, _getExtensions(options.renderJob), sources);
+				}
+				_validateBlocks(options.renderJob, fragment.markdown, _getExtensions(options.renderJob).blocks, sources);
+				_validateIndexEntries(options.renderJob, fragment.markdown, sources);
+				chain.push(token.src);
+				this.lexer.blockTokens(fragment.markdown, token.tokens);
+				chain.pop();
+				return token;
+			}
+		},
+		renderer(token) {
+			let options = this.parser.options;
+			if (typeof options.renderOverrides?.include === 'function') {
+				return options.renderOverrides.include(options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens), token.metadata);
+			} else {
+				return this.parser.parse(token.tokens);
+			}
+		}
+	},
+	{
+		name: 'sourceMarker',
+		level: 'block',
+		start(src) { return src.match(/^<!--markdownMaker:source \d+-->/m)?.index; },
+		tokenizer(src) {
+			const match = src.match(/^<!--markdownMaker:source (\d+)-->(?:\n|$)/);
+			if (match) {
+				return {
+					type: 'sourceMarker',
+					raw: match[0],
+					source: parseInt(match[1])
+				};
+			}
+		},
+		renderer() {
+			// Markers are added by renderAsHtml, and tokens are given the metadata of the source they follow before rendering
+			return '';
+		}
+	},
+	// Core renderers aren't given their tokens, so each core block token hands its metadata to them as it's rendered
+	...["hr", "heading", "code", "table", "blockquote", "list", "html", "paragraph", "text"].map((name) => ({
+		name: name,
+		renderer(token) {
+			this.parser.options.renderMetadata = token.metadata;
+			return false;
+		}
+	}))
 ];
 
+const extensionSets = {};
+const legacyHeadings = new Set();
+
+const renderers = {
+	code: (code, lang, escaped) => ({ text: code, lang: lang, escaped: escaped }),
+	blockquote: (quote) => ({ text: quote }),
+	html: (html) => ({ text: html }),
+	hr: () => ({}),
+	list: (body, ordered, start) => ({ body: body, ordered: ordered, start: start }),
+	listitem: (text, task, checked) => ({ text: text, task: task, checked: checked }),
+	checkbox: (checked) => ({ checked: checked }),
+	paragraph: (text) => ({ text: text }),
+	table: (header, body) => ({ header: header, body: body }),
+	tablerow: (content) => ({ text: content }),
+	tablecell: (content, flags) => ({ text: content, header: flags.header, align: flags.align }),
+	strong: (text) => ({ text: text }),
+	em: (text) => ({ text: text }),
+	codespan: (text) => ({ text: text }),
+	br: () => ({}),
+	del: (text) => ({ text: text }),
+	link: (href, title, text) => ({ href: href, title: title, text: text }),
+	image: (href, title, text) => ({ href: href, title: title, text: text }),
+	text: (text) => ({ text: text })
+};
+
 const renderer = {
   heading(text, level) {
-		const match = text.replace(/&quot;/g, '"').match(/^(.*?) *?({.*?})? *?$/m);
+		const match = text.replace(/&quot;/g, '"').replace(/&#39;/g, "'").match(/^(.*?) *?({.*?})? *?$/m);
 		if (match) {
 			let title = match[1];
-			let tags = match[2] ? _parseTags(match[2]) : {};
+			let tags = match[2] ? _parseTags(match[2], this.options) : {};
+			let slug = tags.id ? String(tags.id) : _claimSlug(slugify(title.replace(/<(span|i).*?>.*?<\/(span|i)>/g, "")), this.options.renderSlugs);
+			let id = `id="${escapeHtml(slug)}"`;
+			let css = tags.class ? escapeHtml(tags.class) : '';
+			let data = tags["_data"] ? tags["_data"] : '';
+			let toc = tags.toc === false ? 'data-toc="false"' : '';
+			// Icon and index tags hold markup (e.g. <i class="...">) from the format, so they are left unescaped
+			let html = `
+				<h${level} ${id} class="${css}" ${data} ${toc}>${tags.icon ? `<span class="icon">${tags.icon}</span>` : ``}${tags.index ? `<span class="index">${tags.index}</span>` : ``}${title}</h${level}>
+			`;
 			if (typeof this.options.renderOverrides?.heading === 'function') {
-				return this.options.renderOverrides.heading(level, title, tags);
+				return this.options.renderOverrides.heading(this.options.renderJob, this.options.renderFilename, { type: 'heading', level: level, text: title, tags: tags, slug: slug }, html, this.options.renderMetadata);
 			} else {
-				let id = `id="${tags.id ? tags.id : title.replace(/<(span|i).*?>.*?<\/(span|i)>/g,"").trim().replace(/ /g, '-').toLowerCase()}"`;
-				let css = tags.class ? tags.class : '';
-				let data = tags["_data"] ? tags["_data"] : '';
-				return `
-					<h${level} ${id} class="${css}" ${data}>${tags.icon ? `<span class="icon">${tags.icon}</span>` : ``}${tags.index ? `<span class="index">${tags.index}</span>` : ``}${title}</h${level}>
-				`;
+				return html;
 			}
 		} else {
 			return `
@@ -115,44 +362,287 @@ const renderer = {
   }
 };
 
+Object.entries(renderers).forEach(([name, read]) => {
+	renderer[name] = function(...args) {
+		let options = this.options;
+		if (typeof options.renderOverrides?.[name] === 'function') {
+			let html = marked.Renderer.prototype[name].apply(this, args);
+			return options.renderOverrides[name](options.renderJob, options.renderFilename, { type: name, ...read(...args) }, html, options.renderMetadata);
+		} else {
+			return false;
+		}
+	};
+});
+
 /**
- * Initialise the markdown engine with custom extensions.
- * This is required because marked.use() affects *all* instances of marked {@link https://github.com/markedjs/marked/issues/907}.
- * This stops us from having one marker per format and format-specific extensions.
- * Instead, we set up a core set of extenders and allow formats to override the rendering if needed.
+ * Initialise the markdown engine with the core renderer.
+ * Extensions aren't registered here because marked.use() affects *all* instances of marked {@link https://github.com/markedjs/marked/issues/907}.
+ * Instead, each job is given its own set of core, format, and project extensions when rendering.
  */
 function initialise() {
-	marked.use({ extensions: extensions });
 	marked.use({ renderer });
 }
 
 /**
  * Parse markdown text and convert it into HTML.
+ * Any \ifBegin blocks are evaluated against the job first, and any \include blocks are resolved against the job's fragment folders and rendered inline.
+ * @param {Object} job - The currently-active job.
+ * @param {string} filename - The name of the file being rendered.
  * @param {string} text - Markdown text.
- * @param {string} text - Markdown text.
+ * @param {Object} [metadata] - Front matter metadata, passed to any render overrides.
+ * @param {Object[]} [sources] - The source files that make up the text ({ filename, start, offset, metadata }), used to report line numbers.
+ * A source with its own metadata (e.g. a fragment in a collection) passes that to render overrides instead, from its first line until the next source.
  * @returns {string} HTML string.
+ * @throws {Error} Any missing or circular include, or any unbalanced block or condition. Strict jobs also throw on malformed tags or unknown blocks.
+ */
+function renderAsHtml(job, filename, text, metadata, sources) {
+	const extensionSet = _getExtensions(job);
+	metadata = metadata ? metadata : {};
+	sources = sources ? sources : [{ filename: filename, start: 1, offset: 0 }];
+	text = _applyConditions(job, text, sources);
+	if (job.strict) {
+		_validateTags(text, extensionSet, sources);
+	}
+	_validateBlocks(job, text, extensionSet.blocks, sources);
+	_validateIndexEntries(job, text, sources);
+	// Lex and parse directly (rather than calling marked()), so errors from extensions such as \include aren't reported as marked.js bugs
+	const options = Object.assign({}, marked.defaults, {
+		extensions: extensionSet.extensions,
+		renderOverrides: _getOverrides(job),
+		renderJob: job,
+		renderFilename: filename,
+		renderIncludes: [filename],
+		renderMetadata: metadata,
+		renderSlugs: null
+	});
+	const tokens = marked.Lexer.lex(_markSources(text, sources), options);
+	_assignMetadata(tokens, sources, metadata);
+	options.renderSlugs = _reserveIds(job, filename, tokens);
+	return marked.Parser.parse(tokens, options);
+}
+
+/**
+ * Split a YAML front matter block (delimited by "---" lines) from the start of a markdown file.
+ * @param {string} text - Markdown text.
+ * @returns {Object} The parsed front matter (or an empty object), the remaining markdown, and the number of lines removed.
+ * @throws {Error} Any YAML parsing error.
+ */
+function parseFrontMatter(text) {
+	const match = text.match(/^\uFEFF?---\r?\n(.*?)\r?\n---[ \t]*(?:\r?\n|$)/s);
+	if (match) {
+		let metadata = YAML.parse(match[1]);
+		return {
+			metadata: (metadata && typeof metadata === 'object') ? metadata : {},
+			markdown: text.slice(match[0].length),
+			offset: (match[0].match(/\n/g) || []).length
+		};
+	} else {
+		return {
+			metadata: {},
+			markdown: text,
+			offset: 0
+		};
+	}
+}
+
+/**
+ * Turn some text (or HTML) into a URL-friendly slug. Tags are removed, punctuation is stripped, and Unicode letters/numbers are kept as-is.
+ * @param {string} text - Text to slugify.
+ * @returns {string} A slug (e.g. "Combat & Actions!" → "combat-actions").
+ */
+function slugify(text) {
+	let slug = String(text)
+		.replace(/<[^>]*>/g, '')
+		.replace(/&(?:#\d+|#x[\da-f]+|\w+);/gi, ' ')
+		.normalize('NFC')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+		.trim()
+		.replace(/[\s_-]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+	return slug ? slug : 'section';
+}
+
+/**
+ * Escape a value so it can be safely used as HTML text or inside a quoted HTML attribute.
+ * @param {*} value - A value to escape.
+ * @returns {string} An escaped string.
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Add a marker line at the start of each source file in some markdown, so render overrides can be given the metadata of the file they're rendering.
+ * Markers are only added if a source has its own metadata, and are added after the markdown has been validated (so reported line numbers are unchanged).
+ * @param {string} text - Markdown text.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset, metadata }).
+ * @returns {string} Markdown text.
+ */
+function _markSources(text, sources) {
+	if (!sources.some((x) => x.metadata)) {
+		return text;
+	}
+	let lines = text.split("\n");
+	[...sources.entries()].reverse().forEach(([i, x]) => {
+		lines.splice(x.start - 1, 0, `<!--markdownMaker:source ${i}-->`);
+	});
+	return lines.join("\n");
+}
+
+/**
+ * Give every token the metadata of the source it comes from (the last source marker before it), or the render's own metadata.
+ * @param {Object[]} tokens - A list of marked.js tokens.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset, metadata }).
+ * @param {Object} metadata - The render's metadata.
+ */
+function _assignMetadata(tokens, sources, metadata) {
+	let current = metadata;
+	marked.walkTokens(tokens, (token) => {
+		if (token.type === 'sourceMarker') {
+			current = sources[token.source].metadata ? sources[token.source].metadata : metadata;
+		}
+		token.metadata = current;
+	});
+}
+
+/**
+ * Reserve every explicit id in a render (heading ids and block/inline id tags), so generated heading slugs can't clash with them.
+ * An explicit id that's used more than once is reported as a warning (or an error, if the job is strict).
+ * @param {Object} job - The currently-active job.
+ * @param {string} filename - The name of the file being rendered.
+ * @param {Object[]} tokens - A list of marked.js tokens.
+ * @returns {Object} The ids claimed so far ({ explicit, generated }).
+ * @throws {SyntaxError} Any duplicate id, if the job is strict.
+ */
+function _reserveIds(job, filename, tokens) {
+	let ids = { explicit: new Set(), generated: new Set() };
+	marked.walkTokens(tokens, (token) => {
+		let id = (token.type === 'heading') ? _readHeadingId(token.text) : token.tags?.id;
+		if (id == null || id === '') {
+			return;
+		}
+		id = String(id);
+		if (ids.explicit.has(id)) {
+			if (job.strict) {
+				throw new SyntaxError(`Id "${id}" is used more than once [${filename}].`);
+			}
+			logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, `Id "${id}" is used more than once`));
+		}
+		ids.explicit.add(id);
+	});
+	return ids;
+}
+
+/**
+ * Read the explicit id of a heading (e.g. "Actions {#combat}"), if it has one.
+ * @param {string} text - The heading's text.
+ * @returns {string|null} An id, or null if the heading has no (readable) id.
  */
-function renderAsHtml(job, filename, text) {
-	return marked(text, { renderOverrides: job.format.markdown, renderJob: job, renderFilename: filename });
+function _readHeadingId(text) {
+	const match = text.match(/^(.*?) *?({.*?})? *?$/m);
+	try {
+		return match?.[2] ? _readTags(match[2]).id : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Claim a generated slug so it can't be reused by another heading in the same render (i.e. the same fragment or collection).
+ * Slugs are de-duplicated against every explicit id and every slug already generated, with a numeric suffix (e.g. actions, actions-1, actions-2).
+ * @param {string} slug - A slug.
+ * @param {Object} [ids] - The ids claimed so far ({ explicit, generated }).
+ * @returns {string} A claimed slug.
+ */
+function _claimSlug(slug, ids) {
+	let claimed = slug;
+	if (ids) {
+		for (let i = 1; ids.explicit.has(claimed) || ids.generated.has(claimed); i++) {
+			claimed = `${slug}-${i}`;
+		}
+		ids.generated.add(claimed);
+	}
+	return claimed;
 }
 
 /**
  * Parse a stringified list of tags and return a key/value object.
- * @param {string} json - A JSON string.
+ * Tags can be written as JSON ({"id": "intro", "class": "wide"}) or as shorthand ({#intro .wide data-x=1 title="Hello"}).
+ * @param {string} json - A JSON or shorthand tag string.
+ * @param {Object} [options] - The active marked.js options (used to check if the job is strict).
  * @returns {Object} A JSON object.
+ * @throws {SyntaxError} Any parsing error, if the job is strict.
  */
-function _parseTags(json) {
+function _parseTags(json, options) {
 	try {
-		let tags = JSON.parse(json);
+		let tags = _readTags(json);
 		let dataAttributes = _renderDataTags(tags);
 		tags["_data"] = dataAttributes ? dataAttributes : '';
 		return tags;
 	} catch (e) {
+		if (options?.renderJob?.strict) {
+			throw new SyntaxError(`Couldn't parse json [${json}]: ${e.message}`);
+		}
 		logManager.postWarning({ message: `Couldn't parse json [${json}]`, stack: e.stack });
 		return {};
 	}
 }
 
+/**
+ * Read a stringified list of tags as either JSON or shorthand attributes.
+ * Shorthand supports #id, .class, key=value, key="quoted value", and bare keys (true). Unquoted true/false/numbers are converted.
+ * @param {string} text - A JSON or shorthand tag string.
+ * @returns {Object} A key/value object.
+ * @throws {SyntaxError} Any parsing error.
+ */
+function _readTags(text) {
+	const inner = text.trim().replace(/^{/, '').replace(/}$/, '').trim();
+	if (inner === '' || inner.startsWith('"')) {
+		return JSON.parse(text);
+	}
+	let tags = {};
+	let classes = [];
+	inner.replace(/#([\w-]+)|\.([\w-]+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s"']+))|([\w-]+)|(\S+)/g, (match, id, css, key, double, single, bare, flag, invalid) => {
+		if (invalid) {
+			throw new SyntaxError(`Unexpected attribute "${invalid}" in tags ${text}`);
+		} else if (id) {
+			tags.id = id;
+		} else if (css) {
+			classes.push(css);
+		} else if (key) {
+			tags[key] = (double != null) ? double : (single != null) ? single : _readValue(bare);
+		} else if (flag) {
+			tags[flag] = true;
+		}
+		return '';
+	});
+	if (classes.length > 0) {
+		tags.class = [tags.class, ...classes].filter((x) => x).join(' ');
+	}
+	return tags;
+}
+
+/**
+ * Convert an unquoted shorthand value into a boolean or number (if possible).
+ * @param {string} value - An unquoted value.
+ * @returns {(string|number|boolean)} A converted value.
+ */
+function _readValue(value) {
+	if (value === 'true' || value === 'false') {
+		return value === 'true';
+	} else if (value.match(/^-?\d+(\.\d+)?$/)) {
+		return Number(value);
+	} else {
+		return value;
+	}
+}
+
 /**
  * Parse a set of tags for data attributes and return a string.
  * @param {Object} json - A JSON object.
@@ -162,11 +652,11 @@ function _renderDataTags(json) {
 	let tags = [];
 	if (json) {
 		Object.entries(json).forEach(([x, y]) => {
-			if (x.match(/^data-/)) {
+			if (x.match(/^data-[\w-]+$/)) {
 				if (typeof y === 'object') {
-					tags.push(`${x}='${JSON.stringify(y)}'`);
+					tags.push(`${x}="${escapeHtml(JSON.stringify(y))}"`);
 				} else {
-					tags.push(`${x}="${y}"`);
+					tags.push(`${x}="${escapeHtml(y)}"`);
 				}
 			}
 		});
@@ -174,26 +664,183 @@ function _renderDataTags(json) {
 	return (tags.length == 0) ? '' : `${tags.join(" ")}`;
 }
 
+/**
+ * Get the markdown render overrides for a job. Project overrides take precedence over format overrides.
+ * @param {Object} job - The currently-active job.
+ * @returns {Object} A list of render functions, keyed by renderer or extension name.
+ */
+function _getOverrides(job) {
+	let overrides = {};
+	[job.format.markdown, job.project.markdown].forEach((x) => {
+		Object.entries(x ? x : {}).filter(([, y]) => typeof y === 'function').forEach(([name, y]) => overrides[name] = y);
+	});
+	if (overrides.heading && _usesLegacyHeading(job)) {
+		const heading = overrides.heading;
+		overrides.heading = (job, filename, token, html, metadata) => heading(token.level, token.text, Object.assign({}, token.tags, { slug: token.slug }), metadata);
+	}
+	return overrides;
+}
+
+/**
+ * Check whether a job's heading override uses the deprecated heading(level, title, tags, metadata) signature (its tags include the heading's slug).
+ * Formats that still support MarkdownMaker versions before v4 (e.g. "^3.0.0 || ^4.0.0") get the old signature (with a warning, once per project/format); v4 formats use the shared (job, filename, token, html, metadata) convention.
+ * @param {Object} job - The currently-active job.
+ * @returns {boolean} True if the heading override should be called with the old signature.
+ */
+function _usesLegacyHeading(job) {
+	if (!job.format.markdownMaker || semver.gte(semver.minVersion(job.format.markdownMaker), "4.0.0")) {
+		return false;
+	}
+	const key = `${job.project.name}.${job.format.name}`;
+	if (!legacyHeadings.has(key)) {
+		legacyHeadings.add(key);
+		logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, null, "heading(level, title, tags, metadata) overrides are deprecated; require MarkdownMaker ^4.0.0 and use heading(job, filename, token, html, metadata) instead"));
+	}
+	return true;
+}
+
+/**
+ * Get the compiled set of markdown extensions for a job: core extensions, then format extensions, then project extensions.
+ * Sets are compiled once per project/format combination and cached.
+ * @param {Object} job - The currently-active job.
+ * @returns {Object} A compiled marked.js extensions object, a list of delimited (\nameBegin … \nameEnd) block names, and a list of tagged (\name{text}{tags}) inline names.
+ * Every block a format or project declares counts as delimited, including extension objects.
+ */
+function _getExtensions(job) {
+	const key = `${job.project.name}.${job.format.name}`;
+	if (!extensionSets[key]) {
+		let custom = [
+			..._listCustomExtensions(job.format.extensions),
+			..._listCustomExtensions(job.project.extensions)
+		];
+		let definitions = [...extensions, ...custom];
+		extensionSets[key] = {
+			extensions: _compileExtensions(definitions),
+			blocks: [...new Set([...definitions.filter((x) => x.delimited), ...custom.filter((x) => x.level === 'block')].map((x) => x.name))],
+			inlines: [...new Set(definitions.filter((x) => x.tagged).map((x) => x.name))]
+		};
+	}
+	return extensionSets[key];
+}
+
+/**
+ * Turn a format/project extension declaration into a list of marked.js extension definitions.
+ * Names are turned into common block/inline extensions; extension objects are used as-is.
+ * @param {Object} declaration - A list of block and inline extensions.
+ * @returns {Object[]} A list of marked.js extension definitions.
+ * @throws {TypeError} Any extension that is neither a name nor an extension object.
+ */
+function _listCustomExtensions(declaration) {
+	return [
+		...(declaration?.block ? declaration.block : []).map((x) => (typeof x === 'string') ? _createBlockExtension(x) : x),
+		...(declaration?.inline ? declaration.inline : []).map((x) => (typeof x === 'string') ? _createInlineExtension(x) : x)
+	].map((x) => {
+		if (!x || typeof x.name !== 'string') {
+			throw new TypeError(`Markdown extension [${JSON.stringify(x)}] must be a name or an extension object with a name.`);
+		}
+		return x;
+	});
+}
+
+/**
+ * Compile a list of marked.js extension definitions into a standalone extensions object.
+ * This mirrors marked.use(), but without touching the global marked defaults.
+ * @param {Object[]} definitions - A list of marked.js extension definitions.
+ * @returns {Object} A compiled marked.js extensions object.
+ * @throws {Error} Any extension with an invalid level.
+ */
+function _compileExtensions(definitions) {
+	let compiled = { renderers: {}, childTokens: {} };
+	definitions.forEach((x) => {
+		if (x.renderer) {
+			compiled.renderers[x.name] = x.renderer;
+		}
+		if (x.tokenizer) {
+			if (x.level !== 'block' && x.level !== 'inline') {
+				throw new Error(`Markdown extension [${x.name}] level must be "block" or "inline".`);
+			}
+			compiled[x.level] = [x.tokenizer, ...(compiled[x.level] ? compiled[x.level] : [])];
+			if (x.start) {
+				let startKey = (x.level === 'block') ? 'startBlock' : 'startInline';
+				compiled[startKey] = [...(compiled[startKey] ? compiled[startKey] : []), x.start];
+			}
+		}
+		if (x.childTokens) {
+			compiled.childTokens[x.name] = x.childTokens;
+		}
+	});
+	return compiled;
+}
+
+/**
+ * Creates a common inline extension (e.g. \name{text}{tags}) based on a target element name.
+ * @param {string} name - An element name.
+ * @returns {Object} A marked.js extension defintion.
+ */
+function _createInlineExtension(name) {
+	return {
+		name: name,
+		level: 'inline',
+		tagged: true,
+		start(src) {
+			return src.match(new RegExp(`\\\\${name}{`))?.index;
+		},
+		tokenizer(src) {
+			const match = src.match(new RegExp(`^\\\\${name}{(.*?)}({.*?})?`));
+			if (match) {
+				const tags = match[2] ? _parseTags(match[2], this.lexer.options) : {};
+				const token = {
+					type: name,
+					raw: match[0],
+					text: match[1].trim(),
+					tags: tags,
+					tokens: []
+				};
+				this.lexer.inlineTokens(token.text, token.tokens);
+				return token;
+			}
+		},
+		renderer(token) {
+			let options = this.parser.options;
+			if (options.renderOverrides && typeof options.renderOverrides[name] === 'function') {
+				return options.renderOverrides[name](options.renderJob, options.renderFilename, token, this.parser.parseInline(token.tokens), token.metadata);
+			} else {
+				let id = token.tags?.id ? `id="${escapeHtml(token.tags.id)}"` : '';
+				let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
+				let tags = token.tags && token.tags["_data"] ? token.tags["_data"] : '';
+				return `<span ${id} class="${name} ${css}" ${tags}>${this.parser.parseInline(token.tokens)}</span>`;
+			}
+		}
+	}
+}
+
 /**
  * Creates a common block extension based on a target element name.
+ * Blocks are delimited by \nameBegin and \nameEnd lines, and blocks of the same type may be nested.
  * @param {string} name - An element name.
+ * @param {function} [render] - A default renderer to use instead of the common block markup.
  * @returns {Object} A marked.js extension defintion.
  */
-function _createBlockExtension(name) {
+function _createBlockExtension(name, render) {
 	return {
 		name: name,
 		level: 'block',
+		delimited: true,
 		start(src) {
-			return src.match(new RegExp(`^\\\\${name}Begin`))?.index;
+			return src.match(new RegExp(`^\\\\${name}Begin`, "m"))?.index;
 		},
 		tokenizer(src) {
-			const match = src.match(new RegExp(`^\\\\${name}Begin *({.*?})?[\\n$](.*?)\\n\\\\${name}End.*?[\\n$]?`, "s"));
+			const match = src.match(new RegExp(`^\\\\${name}Begin *({.*?})? *\\n`));
 			if (match) {
-				const tags = match[1] ? _parseTags(match[1]) : {};
+				const end = _findBlockEnd(src, name);
+				if (end < 0) {
+					return;
+				}
+				const tags = match[1] ? _parseTags(match[1], this.lexer.options) : {};
 				const token = {
 					type: name,
-					raw: match[0],
-					text: match[2]?.trim(),
+					raw: `${src.slice(0, end)}\\${name}End`,
+					text: src.slice(match[0].length, end).trim(),
 					tags: tags,
 					tokens: []
 				};
@@ -204,15 +851,18 @@ function _createBlockExtension(name) {
 		renderer(token) {
 			let options = this.parser.options;
 			if (options.renderOverrides && typeof options.renderOverrides[name] === 'function') {
-				return options.renderOverrides[name](options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens));
+				// Blocks can span several source files (e.g. collection sections), so they use the metadata from where they start
+				return options.renderOverrides[name](options.renderJob, options.renderFilename, token, this.parser.parse(token.tokens), token.metadata);
+			} else if (typeof render === 'function') {
+				return render.call(this, token);
 			} else {
-				let id = token.tags?.id ? `id="${token.tags.id}"` : '';
-				let css = token.tags?.class ? token.tags.class : '';
+				let id = token.tags?.id ? `id="${escapeHtml(token.tags.id)}"` : '';
+				let css = token.tags?.class ? escapeHtml(token.tags.class) : '';
 				let tags = token.tags && token.tags["_data"] ? token.tags["_data"] : '';
-				let type = token.tags?.type ? `${name}--${token.tags.type}` : '';
-				let titleElement = token.tags?.titleElement ? token.tags.titleElement : "div";
-				let title = token.tags?.title ? `<${titleElement} class="${name}__title">${token.tags.title}</${titleElement}>` : '';
-				let subtitle = token.tags?.subtitle ? `<div class="${name}__subtitle">${token.tags.subtitle}</div>` : '';
+				let type = token.tags?.type ? `${name}--${escapeHtml(token.tags.type)}` : '';
+				let titleElement = (token.tags?.titleElement && String(token.tags.titleElement).match(/^[a-z][a-z0-9-]*$/i)) ? token.tags.titleElement : "div";
+				let title = token.tags?.title ? `<${titleElement} class="${name}__title">${escapeHtml(token.tags.title)}</${titleElement}>` : '';
+				let subtitle = token.tags?.subtitle ? `<div class="${name}__subtitle">${escapeHtml(token.tags.subtitle)}</div>` : '';
 				return `
 					<div ${id} class="${name} ${type} ${css}" ${tags}>
 						${(title || subtitle) ? `
@@ -232,4 +882,281 @@ function _createBlockExtension(name) {
 	}
 }
 
-export { initialise, renderAsHtml };
\ No newline at end of file
+/**
+ * Find the line that closes a delimited block, balancing any nested blocks of the same type.
+ * Lines are read one at a time (ignoring fenced code), and reading stops as soon as the block is closed.
+ * @param {string} src - Markdown, starting with the block's \nameBegin line.
+ * @param {string} name - A block name.
+ * @returns {number} The position of the closing \nameEnd line, or -1 if the block isn't closed.
+ */
+function _findBlockEnd(src, name) {
+	let depth = 0;
+	let fence = null;
+	for (let start = 0; start < src.length;) {
+		let next = src.indexOf("\n", start);
+		let line = src.slice(start, (next < 0) ? src.length : next);
+		let state = _readFence(fence, line);
+		let marker = state.code ? null : line.match(/^\\(\w+?)(Begin|End)\b/);
+		fence = state.fence;
+		if (marker && marker[1] === name) {
+			depth += (marker[2] === "Begin") ? 1 : -1;
+			if (depth == 0) {
+				return start;
+			}
+		}
+		start = (next < 0) ? src.length : next + 1;
+	}
+	return -1;
+}
+
+/**
+ * Check that every delimited block in some markdown is closed, and that every \nameEnd has a matching \nameBegin.
+ * Any text after a \nameEnd marker (on the same line) isn't part of the block, so is reported as a warning (or an error, if the job is strict).
+ * @param {Object} job - The currently-active job.
+ * @param {string} text - Markdown text.
+ * @param {string[]} names - A list of delimited block names.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @throws {SyntaxError} Any unclosed or stray block marker, or any text after a \nameEnd marker if the job is strict.
+ */
+function _validateBlocks(job, text, names, sources) {
+	let stack = [];
+	_listMarkers(text.split(/\r\n|\r|\n/), names).forEach((x) => {
+		let trailing = (x.edge === "End") ? x.text.slice(`\\${x.name}End`.length) : '';
+		if (trailing.trim()) {
+			let column = x.text.length - trailing.trimStart().length + 1;
+			let message = `Text after "\\${x.name}End" isn't part of the block [${_locateLine(sources, x.line)}:${column}]`;
+			if (job.strict) {
+				throw new SyntaxError(`${message}.\n${_renderSnippet(x.text, column)}`);
+			}
+			logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, null, message));
+		}
+		if (x.edge === "Begin") {
+			stack.push(x);
+		} else if (stack.length > 0 && stack[stack.length - 1].name === x.name) {
+			stack.pop();
+		} else if (stack.some((y) => y.name === x.name)) {
+			let open = stack[stack.length - 1];
+			throw new SyntaxError(`Block "\\${open.name}Begin" is never closed with "\\${open.name}End" [${_locateLine(sources, open.line)}].`);
+		} else {
+			throw new SyntaxError(`Block "\\${x.name}End" has no matching "\\${x.name}Begin" [${_locateLine(sources, x.line)}].`);
+		}
+	});
+	if (stack.length > 0) {
+		let open = stack[stack.length - 1];
+		throw new SyntaxError(`Block "\\${open.name}Begin" is never closed with "\\${open.name}End" [${_locateLine(sources, open.line)}].`);
+	}
+}
+
+/**
+ * Check that no index entry has more than two levels (term!subterm). Deeper levels are ignored, so they're reported as a warning (or an error, if the job is strict).
+ * @param {Object} job - The currently-active job.
+ * @param {string} text - Markdown text.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @throws {SyntaxError} Any index entry with more than two levels, if the job is strict.
+ */
+function _validateIndexEntries(job, text, sources) {
+	_listUnfencedLines(text.split(/\r\n|\r|\n/)).forEach((x) => {
+		[...x.text.replace(/(`+)(.+?)\1/g, (match) => " ".repeat(match.length)).matchAll(/\\index{([^}]+)}/g)].forEach((match) => {
+			let terms = match[1].split("!");
+			if (terms.length > 2) {
+				let message = `Index entry "${match[1]}" has more than two levels (term!subterm), so "${terms.slice(2).join("!").trim()}" is ignored [${_locateLine(sources, x.line)}:${match.index + 1}]`;
+				if (job.strict) {
+					throw new SyntaxError(`${message}.\n${_renderSnippet(x.text, match.index + 1)}`);
+				}
+				logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, null, message));
+			}
+		});
+	});
+}
+
+/**
+ * List all \nameBegin and \nameEnd markers at the start of a line, ignoring any inside fenced code.
+ * @param {string[]} lines - Lines of markdown.
+ * @param {string[]} names - A list of delimited block names.
+ * @returns {Object[]} A list of markers ({ name, edge, line, text }).
+ */
+function _listMarkers(lines, names) {
+	return _listUnfencedLines(lines).map((x) => {
+		let match = x.text.match(/^\\(\w+?)(Begin|End)\b/);
+		return (match && names.includes(match[1])) ? { name: match[1], edge: match[2], line: x.line, text: x.text } : null;
+	}).filter((x) => x != null);
+}
+
+/**
+ * List all lines that aren't part of fenced code.
+ * @param {string[]} lines - Lines of markdown.
+ * @returns {Object[]} A list of lines ({ text, line }).
+ */
+function _listUnfencedLines(lines) {
+	let unfenced = [];
+	let fence = null;
+	lines.forEach((line, i) => {
+		let state = _readFence(fence, line);
+		fence = state.fence;
+		if (!state.code) {
+			unfenced.push({ text: line, line: i });
+		}
+	});
+	return unfenced;
+}
+
+/**
+ * Read a line of markdown for the start or end of fenced code.
+ * @param {string} fence - The fence that's open before the line (or null if there isn't one).
+ * @param {string} line - A line of markdown.
+ * @returns {Object} The fence that's open after the line (or null), and whether the line is part of fenced code ({ fence, code }).
+ */
+function _readFence(fence, line) {
+	let fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+	if (fence) {
+		let closed = fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1];
+		return { fence: closed ? null : fence, code: true };
+	} else if (fenceMatch) {
+		return { fence: fenceMatch[1], code: true };
+	}
+	return { fence: null, code: false };
+}
+
+/**
+ * Evaluate any conditional blocks (\ifBegin{conditions} … \else … \ifEnd) against a job, keeping only the matching branch.
+ * Conditions may test "format", "language", "project", and "profile" against a name or a list of names; every condition must match (a job without a profile never matches a profile condition).
+ * Excluded lines (and the markers themselves) are blanked rather than removed, so line numbers still point at the source.
+ * @param {Object} job - The currently-active job.
+ * @param {string} text - Markdown text.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @returns {string} Markdown text.
+ * @throws {SyntaxError} Any unbalanced marker or malformed conditions.
+ * @throws {RangeError} Any unknown condition.
+ */
+function _applyConditions(job, text, sources) {
+	const lines = text.split(/\r\n|\r|\n/);
+	const unfenced = new Set(_listUnfencedLines(lines).map((x) => x.line));
+	const stack = [];
+	lines.forEach((text, i) => {
+		let x = { text: text, line: i };
+		let marker = unfenced.has(i) ? text.match(/^\\(ifBegin|else|ifEnd)\b *(.*?) *$/) : null;
+		if (!marker) {
+			if (stack.some((y) => !y.active)) {
+				lines[i] = "";
+			}
+			return;
+		}
+		if (marker[1] === "ifBegin") {
+			let conditions = null;
+			try {
+				conditions = marker[2] ? _readTags(marker[2]) : {};
+			} catch (e) {
+				throw new SyntaxError(`Couldn't parse conditions [${_locateLine(sources, x.line)}]: ${e.message}\n${_renderSnippet(x.text, x.text.indexOf(marker[2]) + 1)}`);
+			}
+			stack.push({ line: x.line, active: _matchConditions(job, conditions, sources, x.line), else: false });
+		} else if (stack.length == 0) {
+			throw new SyntaxError(`Condition "\\${marker[1]}" has no matching "\\ifBegin" [${_locateLine(sources, x.line)}].`);
+		} else if (marker[1] === "else") {
+			let condition = stack[stack.length - 1];
+			if (condition.else) {
+				throw new SyntaxError(`Condition "\\ifBegin" has more than one "\\else" [${_locateLine(sources, x.line)}].`);
+			}
+			condition.active = !condition.active;
+			condition.else = true;
+		} else {
+			stack.pop();
+		}
+		lines[i] = "";
+	});
+	if (stack.length > 0) {
+		throw new SyntaxError(`Condition "\\ifBegin" is never closed with "\\ifEnd" [${_locateLine(sources, stack[stack.length - 1].line)}].`);
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Check if a job matches a set of conditions.
+ * @param {Object} job - The currently-active job.
+ * @param {Object} conditions - A list of conditions (e.g. { "format": "card-deck", "language": ["fr", "de"] }).
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @param {number} index - The zero-based line index of the condition.
+ * @returns {boolean} True if every condition matches.
+ * @throws {RangeError} Any unknown condition.
+ */
+function _matchConditions(job, conditions, sources, index) {
+	const values = {
+		format: job.format.name,
+		language: job.language,
+		project: job.project.name,
+		profile: job.profile
+	};
+	return Object.entries(conditions).every(([key, value]) => {
+		if (!Object.prototype.hasOwnProperty.call(values, key)) {
+			throw new RangeError(`Unknown condition "${key}" [${_locateLine(sources, index)}]; expected one of [${Object.keys(values).join(", ")}].`);
+		}
+		return (Array.isArray(value) ? value : [value]).map((x) => String(x)).includes(values[key]);
+	});
+}
+
+/**
+ * Check that every block, heading, directive, and inline tag list in some markdown can be parsed, and that every \nameBegin/\nameEnd marker is a known block.
+ * @param {string} text - Markdown text.
+ * @param {Object} extensionSet - The job's extension set (see _getExtensions), with its delimited block names and tagged inline names.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @throws {SyntaxError} Any malformed tags or unknown block marker, with its location and a snippet of the source.
+ */
+function _validateTags(text, extensionSet, sources) {
+	const inline = new RegExp(`\\\\(${extensionSet.inlines.join("|")}){(.*?)}({.*?})`, "g");
+	_listUnfencedLines(text.split(/\r\n|\r|\n/)).forEach((x) => {
+		let marker = x.text.match(/^\\(\w+?)(Begin|End)\b/);
+		if (marker && !extensionSet.blocks.includes(marker[1])) {
+			throw new SyntaxError(`Unknown block "\\${marker[1]}${marker[2]}" [${_locateLine(sources, x.line)}:1]\n${_renderSnippet(x.text, 1)}`);
+		}
+		let tags = x.text.match(/^(?:\\\w+?Begin|\\(?:include|toc|printIndex)|#{1,6} .*?) *({.*}) *$/);
+		if (tags) {
+			_validateTagList(tags[1], x, x.text.lastIndexOf(tags[1]) + 1, sources);
+		}
+		// Inline code is blanked out (keeping columns), as tags inside it are never parsed
+		[...x.text.replace(/(`+)(.+?)\1/g, (match) => " ".repeat(match.length)).matchAll(inline)].forEach((match) => {
+			_validateTagList(match[3], x, match.index + match[0].length - match[3].length + 1, sources);
+		});
+	});
+}
+
+/**
+ * Check that a tag list can be parsed.
+ * @param {string} tags - A JSON or shorthand tag string.
+ * @param {Object} line - The line it's on ({ text, line }).
+ * @param {number} column - The one-based column it starts at.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset }).
+ * @throws {SyntaxError} Any malformed tags, with its location and a snippet of the source.
+ */
+function _validateTagList(tags, line, column, sources) {
+	try {
+		_readTags(tags);
+	} catch (e) {
+		throw new SyntaxError(`Couldn't parse tags [${_locateLine(sources, line.line)}:${column}]: ${e.message}\n${_renderSnippet(line.text, column)}`);
+	}
+}
+
+/**
+ * Render a line of source with a caret pointing at a column.
+ * @param {string} line - A line of markdown.
+ * @param {number} column - A one-based column.
+ * @returns {string} A source snippet.
+ */
+function _renderSnippet(line, column) {
+	return `    ${line}\n    ${" ".repeat(column - 1)}^`;
+}
+
+/**
+ * Turn a line index in some (possibly concatenated) markdown into a source file and line number.
+ * @param {Object[]} sources - The source files that make up the text ({ filename, start, offset, generated }).
+ * @param {number} index - A zero-based line index.
+ * @returns {string} A file location (e.g. en/intro.md:12), or just the source's name if its text was generated.
+ */
+function _locateLine(sources, index) {
+	let line = index + 1;
+	let source = [...sources].reverse().find((x) => x.start <= line);
+	if (source?.generated) {
+		return source.filename;
+	}
+	return source ? `${source.filename}:${line - source.start + 1 + source.offset}` : `line ${line}`;
+}
+
+export { escapeHtml, initialise, parseFrontMatter, renderAsHtml, slugify };
\ No newline at end of file
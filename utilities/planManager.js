@@ -0,0 +1,195 @@
+/**
+ * This utility is in charge of describing what a program would do (for dry runs), without reading or writing any build output.
+ *
+ * @module PlanManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as assetManager from './assetManager.js';
+import * as cacheManager from './cacheManager.js';
+import * as collectionManager from './collectionManager.js';
+import * as fileManager from './fileManager.js';
+import * as logManager from './logManager.js';
+import * as manifestManager from './manifestManager.js';
+import fs from 'fs';
+import glob from 'glob';
+import path from 'path';
+
+/**
+ * Create a plan for a program run: every job, the source layers and globs it reads, and the files/folders it would write or delete.
+ * @param {string} command - The program name (e.g. build, export, or clean).
+ * @param {Object[]} jobs - The jobs the program would run.
+ * @param {string} [folder] - The folder the program's manifest would be saved in (if any).
+ * @returns {Object} A plan ({ command, manifest, jobs }).
+ */
+function createPlan(command, jobs, folder) {
+	return {
+		command: command,
+		manifest: folder ? manifestManager.getManifestPath(folder, command) : null,
+		jobs: jobs.map((job) => {
+			let step = {
+				project: job.project.name,
+				format: job.format.name,
+				task: ["clean", "verify"].includes(command) ? command : (job.export ? `export ${job.export}` : `${job.task}${job.fragments ? " fragments" : ""}`),
+				language: job.language,
+				sources: [],
+				reads: [],
+				writes: [],
+				deletes: [],
+				notes: []
+			};
+			if (command === "clean") {
+				_planClean(job, step);
+			} else if (command === "verify") {
+				_planVerify(job, step);
+			} else if (job.export) {
+				_planExport(job, step);
+			} else {
+				_planBuild(job, step);
+			}
+			return step;
+		})
+	};
+}
+
+/**
+ * Post a plan to the console.
+ * @param {Object} plan - A plan.
+ */
+function postPlan(plan) {
+	logManager.postEmptyLine();
+	logManager.postInfo(logManager.formatBg(`Dry run: ${plan.command} (${plan.jobs.length} job(s), nothing will be changed)`, "blue"));
+	plan.jobs.forEach((x) => {
+		logManager.postEmptyLine();
+		logManager.postInfo(logManager.formatTask(x.project, x.format, null, `${x.task}${x.language ? ` [${x.language}]` : ''}`));
+		_postPaths("source", x.sources);
+		_postPaths("read", x.reads);
+		_postPaths("write", x.writes);
+		_postPaths("delete", x.deletes);
+		x.notes.forEach((y) => logManager.postLog(`    note: ${y}`));
+	});
+	if (plan.manifest) {
+		logManager.postEmptyLine();
+		logManager.postInfo(`Manifest: ${_toRelative(plan.manifest)}`);
+	}
+}
+
+/**
+ * Plan a build job: its source layers, the files they match, and the files it would write.
+ * @param {Object} job - A build job.
+ * @param {Object} step - The job's plan (updated in place).
+ */
+function _planBuild(job, step) {
+	const sources = fileManager.getSources(job);
+	const layers = fileManager.getSrcLayers(job.project, job.format, sources.folder, sources.files);
+	const files = fileManager.listSrcFiles(layers);
+	step.sources = layers.flatMap((x) => x.globs);
+	step.reads = files.map((x) => x.path);
+	const overrides = (job.task === "html")
+		? ["buildHtml", job.fragments ? "buildHtmlFragments" : "buildHtmlCollections", job.fragments ? "saveFragment" : "saveCollection"]
+		: [`build${job.task.charAt(0).toUpperCase()}${job.task.slice(1)}`];
+	const override = overrides.find((x) => typeof job.format.override[x] === 'function');
+	if (override) {
+		step.notes.push(`Outputs are decided by the format's ${override} override.`);
+	} else if (job.task === "html") {
+		step.writes = files.flatMap((x) => _getHtmlOutput(job, x, step)).map((x) => path.join(job.output.build, 'html', x));
+	} else {
+		step.writes = files
+			.filter((x) => job.task !== "stylesheets" || !path.basename(x.relative).startsWith("_"))
+			.map((x) => path.join(job.output.build, job.task, (job.task === "stylesheets") ? x.relative.replace(/\.scss$/, ".css") : x.relative));
+	}
+	if (job.task === "html") {
+		step.writes.push(cacheManager.getCachePath(job));
+	} else if (job.project.fingerprint?.enabled && job.task !== "vendors") {
+		step.writes.push(assetManager.getAssetMapPath(job));
+		step.notes.push("Asset names are fingerprinted (e.g. main.1a2b3c4d.css).");
+	}
+}
+
+/**
+ * Get the name of the HTML file a fragment or collection would be built as.
+ * @param {Object} job - A html job.
+ * @param {Object} file - A source file ({ path, relative }).
+ * @param {Object} step - The job's plan (any invalid collections are noted here).
+ * @returns {string[]} A list with the output filename, or an empty list if it can't be worked out.
+ */
+function _getHtmlOutput(job, file, step) {
+	if (job.fragments) {
+		return [`${path.basename(file.path, ".md")}${job.language ? `_${job.language}` : ''}.html`];
+	}
+	try {
+		const collection = collectionManager.parseCollection(job, path.basename(file.path), fs.readFileSync(file.path, 'utf8'));
+		return [`${collection.filename}_v${job.project.version.replace(/\./g, '-')}${job.language ? `_${job.language}` : ''}.html`];
+	} catch (e) {
+		step.notes.push(e.message);
+		return [];
+	}
+}
+
+/**
+ * Plan an export job: the built HTML files it reads, and the files it would write.
+ * @param {Object} job - An export job.
+ * @param {Object} step - The job's plan (updated in place).
+ */
+function _planExport(job, step) {
+	if (job.export === "zip") {
+		step.sources = ["fonts", "scripts", "stylesheets", "vendors", "html", "images"].map((x) => path.join(job.output.build, x));
+		step.reads = step.sources.filter((x) => fs.existsSync(x));
+		step.writes = [path.join(job.output.export, 'zips', `${job.project.name}_<timestamp>.zip`)];
+	} else {
+		step.sources = [path.join(job.output.build, "html", `${job.files ? `@(${job.files.join("|")})` : '*.html'}`)];
+		step.reads = fileManager.listFilenames(step.sources[0]).map((x) => path.join(job.output.build, "html", x));
+		step.writes = step.reads.map((x) => {
+			const name = path.parse(x).name;
+			return (job.export === "pdf") ? path.join(job.output.export, 'pdfs', `${name}.pdf`) : path.join(job.output.export, `${job.export}s`, `${name}_p<page>.${job.export}`);
+		});
+	}
+	const override = { pdf: "exportPdf", png: "exportPngs", jpg: "exportJpgs", zip: "exportZip" }[job.export];
+	if (typeof job.format.override[override] === 'function') {
+		step.notes.push(`Outputs are decided by the format's ${override} override.`);
+	}
+}
+
+/**
+ * Plan a clean job: the build and export folders it would delete.
+ * @param {Object} job - A clean job.
+ * @param {Object} step - The job's plan (updated in place).
+ */
+function _planClean(job, step) {
+	step.deletes = [job.output.build, job.output.export].filter((x) => fs.existsSync(x));
+	if (step.deletes.length == 0) {
+		step.notes.push("Nothing to delete.");
+	}
+}
+
+/**
+ * Plan a verify job: the built HTML files and stylesheets it reads (verifying never writes anything but its manifest).
+ * @param {Object} job - A verify job.
+ * @param {Object} step - The job's plan (updated in place).
+ */
+function _planVerify(job, step) {
+	step.sources = [path.join(job.output.build, "html/**/*.html"), path.join(job.output.build, "**/*.css")];
+	step.reads = step.sources.flatMap((x) => glob.sync(x, { nodir: true })).sort();
+}
+
+/**
+ * Post a labelled list of paths (if any).
+ * @param {string} label - A label (e.g. read or write).
+ * @param {string[]} paths - A list of paths.
+ */
+function _postPaths(label, paths) {
+	paths.forEach((x) => logManager.postLog(`    ${label}: ${_toRelative(x)}`));
+}
+
+/**
+ * Get a path relative to the working directory (source globs keep their leading "!").
+ * @param {string} filepath - A path or glob.
+ * @returns {string} A relative path.
+ */
+function _toRelative(filepath) {
+	return filepath.startsWith("!") ? `!${path.relative(process.cwd(), filepath.slice(1))}` : path.relative(process.cwd(), filepath);
+}
+
+export { createPlan, postPlan };
@@ -0,0 +1,86 @@
+/**
+ * This utility is in charge of resolving cross-references (\ref{id}) once a collection has been assembled.
+ *
+ * @module ReferenceManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as logManager from './logManager.js';
+
+/**
+ * Check the DOM for any reference links and fill them in with the number or title of their target.
+ * Figures and untitled blocks are numbered in document order, so numbering is per collection and per language.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @param {string} filename - The name of the file being built (used when warning about dangling references).
+ * @returns {Object} An updated dom.
+ */
+function resolveReferences(job, dom, filename) {
+	dom.querySelectorAll("a[data-ref]").forEach((x) => {
+		const target = dom.getElementById(x.dataset.ref);
+		if (!target) {
+			x.classList.add("ref--dangling");
+			logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, `Reference "${x.dataset.ref}" has no matching target`));
+		} else if (!x.dataset.refText) {
+			x.textContent = _getLabel(job, dom, target);
+		}
+	});
+	return dom;
+}
+
+/**
+ * Get the label for a reference target: a heading's title, a figure's number, or a block's title (or number if it has none).
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element.
+ * @param {Object} target - The referenced element.
+ * @returns {string} A reference label.
+ */
+function _getLabel(job, dom, target) {
+	if (target.tagName.match(/^H[1-6]$/)) {
+		const heading = target.cloneNode(true);
+		heading.querySelectorAll(".icon").forEach((x) => x.remove());
+		return heading.textContent.trim();
+	} else if (target.tagName === "FIGURE") {
+		return `${_translate(job, "figure")} ${[...dom.querySelectorAll("figure")].indexOf(target) + 1}`;
+	} else {
+		const type = target.classList[0];
+		if (!type) {
+			return target.id;
+		}
+		const title = [...target.getElementsByClassName(`${type}__title`)].find((x) => _closestOfType(x, type) === target);
+		if (title) {
+			return title.textContent.trim();
+		} else {
+			return `${_translate(job, type)} ${[...dom.getElementsByClassName(type)].indexOf(target) + 1}`;
+		}
+	}
+}
+
+/**
+ * Find the closest ancestor (or the element itself) with a class. Class names aren't used as selectors, so any class (e.g. md:wide or 1col) is safe.
+ * @param {Object} element - An element.
+ * @param {string} type - A class name.
+ * @returns {Object} The closest matching element, or null if there isn't one.
+ */
+function _closestOfType(element, type) {
+	let x = element;
+	while (x && !x.classList?.contains(type)) {
+		x = x.parentElement;
+	}
+	return x;
+}
+
+/**
+ * Translate a reference type (e.g. "figure" → "Figure"), falling back to the capitalised type name.
+ * @param {Object} job - A specific job.
+ * @param {string} type - A reference type.
+ * @returns {string} A translated reference type.
+ */
+function _translate(job, type) {
+	const fallback = type.charAt(0).toUpperCase() + type.slice(1);
+	return job.translator ? job.translator.t(`references.${type}`, { defaultValue: fallback }) : fallback;
+}
+
+export { resolveReferences };
@@ -0,0 +1,73 @@
+/**
+ * This utility is in charge of sanitizing built HTML for projects that build untrusted content.
+ *
+ * @module SanitizeManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+const ELEMENTS = [
+	"a", "abbr", "aside", "b", "blockquote", "br", "caption", "code", "colbreak", "col", "colgroup", "dd", "del", "div", "dl", "dt",
+	"em", "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "li", "nav", "ol", "p", "pre",
+	"s", "section", "small", "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "u", "ul"
+];
+
+const ATTRIBUTES = [
+	"align", "alt", "class", "colspan", "height", "href", "id", "rowspan", "src", "start", "title", "width", "data-*"
+];
+
+const REMOVED_ELEMENTS = [
+	"embed", "frame", "frameset", "iframe", "link", "meta", "noscript", "object", "script", "style", "template"
+];
+
+/**
+ * Remove any elements and attributes from the document body that aren't in the project's whitelist.
+ * Disallowed elements are unwrapped (keeping their content), except for scripts, styles, frames, and embeds which are removed entirely.
+ * Does nothing unless the project enables sanitizing.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @returns {Object} An updated dom.
+ */
+function sanitizeDom(job, dom) {
+	if (!job.project.sanitize?.enabled) {
+		return dom;
+	}
+	const elements = (job.project.sanitize.elements ? job.project.sanitize.elements : ELEMENTS).map((x) => x.toLowerCase());
+	const attributes = (job.project.sanitize.attributes ? job.project.sanitize.attributes : ATTRIBUTES).map((x) => x.toLowerCase());
+	[...dom.body.querySelectorAll("*")].reverse().forEach((x) => {
+		const tag = x.tagName.toLowerCase();
+		if (REMOVED_ELEMENTS.includes(tag)) {
+			x.remove();
+		} else if (!elements.includes(tag)) {
+			x.replaceWith(...x.childNodes);
+		} else {
+			[...x.attributes].forEach((y) => {
+				if (!_isAllowedAttribute(y, attributes)) {
+					x.removeAttribute(y.name);
+				}
+			});
+		}
+	});
+	return dom;
+}
+
+/**
+ * Check if an attribute is whitelisted. Event handlers and script URLs are never allowed.
+ * @param {Object} attribute - A DOM attribute.
+ * @param {string[]} attributes - A list of allowed attribute names ("data-*" allows all data attributes).
+ * @returns {boolean} True if the attribute is allowed.
+ */
+function _isAllowedAttribute(attribute, attributes) {
+	const name = attribute.name.toLowerCase();
+	if (name.startsWith("on")) {
+		return false;
+	}
+	const value = [...attribute.value].filter((x) => x.charCodeAt(0) > 32).join("");
+	if (["href", "src"].includes(name) && value.match(/^(javascript|vbscript|data):/i) && !value.match(/^data:image\//i)) {
+		return false;
+	}
+	return attributes.includes(name) || (name.startsWith("data-") && attributes.includes("data-*"));
+}
+
+export { sanitizeDom };
@@ -0,0 +1,98 @@
+/**
+ * This utility is in charge of preparing Sass stylesheets for compilation: layered load paths and project variables.
+ *
+ * @module SassManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as fileManager from './fileManager.js';
+import fs from 'fs';
+import path from 'path';
+import through2 from 'through2';
+
+/**
+ * Get the Sass load paths for a job, in the same precedence as fileManager.getSrc: project+format, project+parent formats, project, format, then any parent formats.
+ * These are a fallback for the importer (see createImporter), which resolves partials through the same layers first. Only @import is supported (node-sass doesn't support @use).
+ * @param {Object} job - A specific job.
+ * @returns {string[]} A list of stylesheet folders.
+ */
+function getLoadPaths(job) {
+	return fileManager.getLayerPaths(job.project, job.format, "stylesheets");
+}
+
+/**
+ * Create a node-sass importer that resolves @import "name" through the job's layers (highest first), so a project can override any format partial
+ * (e.g. _palette.scss), even one that sits next to the format stylesheet that imports it. Relative, absolute, url, and .css imports are left to Sass.
+ * @param {Object} job - A specific job.
+ * @returns {function} A node-sass importer.
+ */
+function createImporter(job) {
+	const loadPaths = getLoadPaths(job);
+	return (url) => {
+		if (/^(\.{1,2}\/|\/|[a-z]+:)|\.css$/i.test(url)) {
+			return null;
+		}
+		const file = loadPaths.flatMap((x) => _listPartialPaths(path.join(x, url))).find((x) => fs.existsSync(x));
+		return file ? { file: file } : null;
+	};
+}
+
+/**
+ * Create a stream transform that declares the project's Sass variables at the start of each stylesheet.
+ * Variables are declared on the line of the stylesheet's last leading @charset/@use/@forward rule (or its first line if it has none), so those rules stay first
+ * and line numbers in errors and sourcemaps are unchanged; use !default in format partials to let projects override them.
+ * @param {Object} job - A specific job.
+ * @returns {Object} A through2 stream.
+ */
+function injectVariables(job) {
+	const declarations = Object.entries(job.project.sass?.variables ? job.project.sass.variables : {})
+		.map(([name, value]) => `$${name.replace(/^\$/, '')}: ${_toSassValue(value)};`)
+		.join(" ");
+	return through2.obj((chunk, enc, callback) => {
+		if (declarations && chunk.isBuffer() && path.extname(chunk.path) === ".scss") {
+			const contents = chunk.contents.toString();
+			const start = contents.match(/^(?:(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*@(?:charset|use|forward)\b[^;]*;)*/)[0].length;
+			chunk.contents = Buffer.from((start > 0) ? `${contents.slice(0, start)} ${declarations}${contents.slice(start)}` : `${declarations} ${contents}`);
+		}
+		callback(null, chunk);
+	});
+}
+
+/**
+ * List the files an @import path could refer to, in the order Sass checks them (e.g. palette: _palette.scss, palette.scss, palette/_index.scss, palette/index.scss).
+ * @param {string} filepath - An import path, joined to a load path.
+ * @returns {string[]} A list of file paths (which may not exist).
+ */
+function _listPartialPaths(filepath) {
+	const folder = path.dirname(filepath);
+	const name = path.basename(filepath);
+	if (path.extname(name)) {
+		return [path.join(folder, `_${name}`), filepath];
+	}
+	return [
+		path.join(folder, `_${name}.scss`),
+		path.join(folder, `${name}.scss`),
+		path.join(filepath, "_index.scss"),
+		path.join(filepath, "index.scss")
+	];
+}
+
+/**
+ * Convert a value into a Sass expression. Strings are used as-is (e.g. #c00 or 210mm), arrays become lists, and objects become maps.
+ * @param {*} value - A value.
+ * @returns {string} A Sass expression.
+ */
+function _toSassValue(value) {
+	if (Array.isArray(value)) {
+		return `(${value.map((x) => _toSassValue(x)).join(", ")})`;
+	} else if (value && typeof value === 'object') {
+		return `(${Object.entries(value).map(([x, y]) => `"${x}": ${_toSassValue(y)}`).join(", ")})`;
+	} else if (value == null) {
+		return "null";
+	}
+	return String(value);
+}
+
+export { createImporter, getLoadPaths, injectVariables };
@@ -0,0 +1,84 @@
+/**
+ * This utility is in charge of scheduling work, so only a limited number of tasks (e.g. gulp streams or browser instances) run at once.
+ *
+ * @module ScheduleManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as logManager from './logManager.js';
+
+let concurrency = Infinity;
+let queue = [];
+let running = 0;
+let done = 0;
+
+/**
+ * Set the maximum number of tasks that can run at once.
+ * @param {number} limit - A positive integer (or Infinity for no limit).
+ * @throws {RangeError} The limit must be a positive integer.
+ */
+function setConcurrency(limit) {
+	if (limit !== Infinity && !(Number.isInteger(limit) && limit > 0)) {
+		throw new RangeError(`Concurrency must be a positive integer (got "${limit}").`);
+	}
+	concurrency = limit;
+	_runNext();
+}
+
+/**
+ * Get the maximum number of tasks that can run at once.
+ * @returns {number} The concurrency limit.
+ */
+function getConcurrency() {
+	return concurrency;
+}
+
+/**
+ * Queue a task, and run it as soon as there's a free slot. Tasks run in the order they're queued.
+ * @param {function} task - A function that starts the work and returns a Promise (or a value).
+ * @returns {Promise} Promise that resolves/rejects with the task's result.
+ */
+function schedule(task) {
+	return new Promise((resolve, reject) => {
+		queue.push({ task: task, resolve: resolve, reject: reject });
+		_runNext();
+	});
+}
+
+/**
+ * Get the number of queued, running, and finished tasks (since MarkdownMaker started).
+ * @returns {Object} Task counts ({ queued, running, done }).
+ */
+function getStatus() {
+	return { queued: queue.length, running: running, done: done };
+}
+
+/**
+ * Start queued tasks until every slot is full.
+ */
+function _runNext() {
+	while (running < concurrency && queue.length > 0) {
+		const item = queue.shift();
+		running++;
+		new Promise((resolve) => resolve(item.task()))
+			.then(item.resolve, item.reject)
+			.finally(() => {
+				running--;
+				done++;
+				_runNext();
+				_postStatus();
+			});
+	}
+}
+
+/**
+ * Post the current task counts (as debug). Programs post their own summary once all of their tasks have finished.
+ */
+function _postStatus() {
+	const status = getStatus();
+	logManager.postDebug(`Tasks: ${status.done} done, ${status.running} running, ${status.queued} queued`);
+}
+
+export { getConcurrency, getStatus, schedule, setConcurrency };
@@ -0,0 +1,122 @@
+/**
+ * This utility is in charge of filling in tables of contents (\toc) once a fragment or collection has been rendered.
+ *
+ * @module TocManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as logManager from './logManager.js';
+import { escapeHtml, slugify } from './markdownManager.js';
+
+/**
+ * Check the DOM for any table of contents placeholders and fill them in with links to the document's headings and collection sections.
+ * Headings tagged with {"toc": false} or without an id are skipped, as are sections deeper than the table's depth. Titled sections without an id are given one.
+ * If the format module contains a renderToc function, use that for the markup instead.
+ * @param {Object} job - A specific job.
+ * @param {Object} dom - The dom element to parse and update.
+ * @param {string} [filename] - The name of the file being built (used when warning about an invalid depth).
+ * @returns {Object} An updated dom.
+ */
+function renderTocs(job, dom, filename) {
+	dom.querySelectorAll("[data-toc-options]").forEach((x) => {
+		const options = JSON.parse(x.dataset.tocOptions);
+		options.depth = _getDepth(job, options.depth, filename);
+		const selector = [...Array.from({ length: options.depth }, (_, i) => `h${i + 1}`), ".section[data-depth]"].join(",");
+		const entries = [...dom.querySelectorAll(selector)]
+			.filter((y) => !y.closest("[data-toc-options]"))
+			.map((y) => y.matches(".section") ? _getSectionEntry(dom, y, options.depth) : _getHeadingEntry(y))
+			.filter((y) => y != null);
+		if (typeof job.format.override.renderToc === 'function') {
+			x.innerHTML = job.format.override.renderToc(job, entries, options);
+		} else {
+			x.innerHTML = `
+				${options.title ? `<div class="toc__title">${escapeHtml(options.title)}</div>` : ''}
+				<ul class="toc__list">
+					${entries.map((y) => `<li class="toc__item toc__item--${y.type === "section" ? `section-${y.level}` : `h${y.level}`}"><a href="#${escapeHtml(y.id)}">${y.title}</a></li>`).join("")}
+				</ul>
+			`;
+		}
+		x.removeAttribute("data-toc-options");
+	});
+	return dom;
+}
+
+/**
+ * Get the table of contents entry for a heading.
+ * @param {Object} heading - A heading element.
+ * @returns {Object|null} An entry ({ type, id, level, title, element }), or null if the heading has no id or is tagged with {"toc": false}.
+ */
+function _getHeadingEntry(heading) {
+	if (!heading.id || heading.dataset.toc === "false") {
+		return null;
+	}
+	return {
+		type: "heading",
+		id: heading.id,
+		level: parseInt(heading.tagName.slice(1)),
+		title: _getTitle(heading),
+		element: heading
+	};
+}
+
+/**
+ * Get the table of contents entry for a collection section, giving the section an id (from its title) if it doesn't have one.
+ * @param {Object} dom - The dom being updated.
+ * @param {Object} section - A section element (with a data-depth attribute).
+ * @param {number} depth - The depth of the table of contents.
+ * @returns {Object|null} An entry ({ type, id, level, title, element }), or null if the section has no title or is too deep.
+ */
+function _getSectionEntry(dom, section, depth) {
+	const title = section.querySelector(":scope > .section__header > .section__title");
+	const level = parseInt(section.dataset.depth);
+	if (!title || !(level <= depth)) {
+		return null;
+	}
+	if (!section.id) {
+		const ids = new Set([...dom.querySelectorAll("[id]")].map((x) => x.id));
+		const slug = slugify(title.textContent);
+		section.id = slug;
+		for (let i = 1; ids.has(section.id); i++) {
+			section.id = `${slug}-${i}`;
+		}
+	}
+	return {
+		type: "section",
+		id: section.id,
+		level: level,
+		title: _getTitle(title),
+		element: section
+	};
+}
+
+/**
+ * Get the heading depth of a table of contents: a whole number from 1 to 6, or 3 (with a warning) if it's anything else.
+ * @param {Object} job - A specific job.
+ * @param {*} depth - The requested depth.
+ * @param {string} [filename] - The name of the file being built.
+ * @returns {number} A heading depth.
+ */
+function _getDepth(job, depth, filename) {
+	const value = Number(depth);
+	if (Number.isInteger(value) && value >= 1 && value <= 6) {
+		return value;
+	}
+	logManager.postWarning(logManager.formatTask(job.project.name, job.format.name, filename, `Table of contents depth "${depth}" must be a whole number from 1 to 6; using 3`));
+	return 3;
+}
+
+/**
+ * Get the (already-translated) title of a heading or section, without any icon, index, or links (which can't be nested in a table of contents link).
+ * @param {Object} element - A heading or section title element.
+ * @returns {string} A title.
+ */
+function _getTitle(element) {
+	const clone = element.cloneNode(true);
+	clone.querySelectorAll(".icon, .index").forEach((x) => x.remove());
+	clone.querySelectorAll("a").forEach((x) => x.replaceWith(...x.childNodes));
+	return clone.innerHTML.trim();
+}
+
+export { renderTocs };
@@ -0,0 +1,121 @@
+/**
+ * This utility is in charge of checking built output for broken references: missing files, missing anchors, and unused assets.
+ *
+ * @module VerifyManager
+ * @author Giffyglyph <giffyglyph@gmail.com>
+ * @copyright Giffyglyph 2021
+ * @license GPL-3.0-or-later
+ */
+
+import * as manifestManager from './manifestManager.js';
+import fs from 'fs';
+import glob from 'glob';
+import jsdom from 'jsdom';
+import path from 'path';
+
+const ASSET_FOLDERS = ["fonts", "images", "scripts", "stylesheets"];
+
+/**
+ * Check every HTML file in a job's build folder (and every stylesheet they can use): each relative src/href/url() reference must point at an existing file,
+ * and each #anchor must exist in the page it points at. Any asset that nothing references is reported as unused (vendors aren't checked, as they often load their own files).
+ * @param {Object} job - A specific job.
+ * @returns {Object} A report ({ files, missing, unused }), where missing is a list of { file, reference } and unused is a list of asset paths (relative to the build folder).
+ */
+function verifyOutput(job) {
+	const root = path.resolve(job.output.build);
+	const pages = new Map();
+	const referenced = new Set();
+	const missing = [];
+	const htmlFiles = _listFiles(root, "html/**/*.html");
+	const cssFiles = _listFiles(root, "**/*.css");
+
+	// Collect every reference from HTML (attributes, inline styles, and style elements) and stylesheets
+	let references = [];
+	htmlFiles.forEach((x) => {
+		manifestManager.recordInput(job, x);
+		const document = new jsdom.JSDOM(fs.readFileSync(x, 'utf8')).window.document;
+		pages.set(x, document);
+		document.querySelectorAll("[src], [href]").forEach((y) => {
+			["src", "href"].filter((z) => y.hasAttribute(z)).forEach((z) => references.push({ file: x, reference: y.getAttribute(z) }));
+		});
+		document.querySelectorAll("[style]").forEach((y) => {
+			_listCssReferences(y.getAttribute("style")).forEach((z) => references.push({ file: x, reference: z }));
+		});
+		document.querySelectorAll("style").forEach((y) => {
+			_listCssReferences(y.textContent).forEach((z) => references.push({ file: x, reference: z }));
+		});
+	});
+	cssFiles.forEach((x) => {
+		manifestManager.recordInput(job, x);
+		_listCssReferences(fs.readFileSync(x, 'utf8')).filter((y) => !y.startsWith("#")).forEach((y) => references.push({ file: x, reference: y }));
+	});
+
+	// Resolve each reference against the build output
+	references.forEach((x) => {
+		const parts = x.reference.trim().match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+		if (!parts || parts[1].match(/^([a-z][a-z0-9+.-]*:|\/\/)/i) || (!parts[1] && parts[2] == null)) {
+			return;
+		}
+		const target = parts[1] ? (parts[1].startsWith("/") ? path.join(root, _decode(parts[1])) : path.resolve(path.dirname(x.file), _decode(parts[1]))) : x.file;
+		if (!fs.existsSync(target)) {
+			missing.push({ file: path.relative(root, x.file), reference: x.reference });
+			return;
+		}
+		referenced.add(target);
+		if (parts[2] && pages.has(target) && !_hasAnchor(pages.get(target), _decode(parts[2]))) {
+			missing.push({ file: path.relative(root, x.file), reference: x.reference });
+		}
+	});
+
+	return {
+		files: htmlFiles.map((x) => path.relative(root, x)),
+		missing: missing,
+		unused: ASSET_FOLDERS.flatMap((x) => _listFiles(root, `${x}/**/*`))
+			.filter((x) => !referenced.has(x) && path.extname(x) !== ".map")
+			.map((x) => path.relative(root, x))
+	};
+}
+
+/**
+ * List the files in a folder that match a glob.
+ * @param {string} root - A folder path.
+ * @param {string} pattern - A glob, relative to the folder.
+ * @returns {string[]} A sorted list of absolute file paths.
+ */
+function _listFiles(root, pattern) {
+	return glob.sync(pattern, { cwd: root, nodir: true, absolute: true }).map((x) => path.normalize(x)).sort();
+}
+
+/**
+ * List the url() references in some CSS.
+ * @param {string} css - Some CSS.
+ * @returns {string[]} A list of references.
+ */
+function _listCssReferences(css) {
+	return [...css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g)].map((x) => x[2].trim()).filter((x) => !x.match(/^data:/i));
+}
+
+/**
+ * Decode a percent-encoded reference (leaving it as-is if it's malformed).
+ * @param {string} reference - A reference.
+ * @returns {string} The decoded reference.
+ */
+function _decode(reference) {
+	try {
+		return decodeURIComponent(reference);
+	} catch (e) {
+		return reference;
+	}
+}
+
+/**
+ * Check if a page contains an anchor (an element with a matching id or name).
+ * @param {Object} document - A page document.
+ * @param {string} anchor - An anchor name.
+ * @returns {boolean} True if the anchor exists (or is empty).
+ */
+function _hasAnchor(document, anchor) {
+	return !anchor || document.getElementById(anchor) != null || [...document.getElementsByName(anchor)].length > 0;
+}
+
+export { verifyOutput };